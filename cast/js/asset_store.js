@@ -0,0 +1,295 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_ASSETS_TAG = 'Assets';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_ASSETS_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Keeps the images and sounds uploaded by the senders in IndexedDB, so they
+ * outlive the receiver session and need not be uploaded again. Assets are
+ * addressed by kind and by the ID the sender gave them, e.g. the page or
+ * sound index they are shown or played for, and handed out as object URLs.
+ * Once the store outgrows its limits the least recently used assets are
+ * evicted.
+ */
+class AssetStore {
+  static DEFAULT_OPTIONS = {
+    // Name of the IndexedDB database.
+    databaseName: 'castReceiverAssets',
+    // Total size, in bytes, of the assets kept.
+    maxBytes: 50 * 1024 * 1024,
+    // Size, in bytes, of the largest asset accepted.
+    maxAssetBytes: 10 * 1024 * 1024,
+    // Number of assets kept.
+    maxAssets: 200
+  };
+
+  static STORE_NAME = 'assets';
+
+  static DATABASE_VERSION = 1;
+
+  /**
+   * @param {Object=} options Overrides of DEFAULT_OPTIONS.
+   */
+  constructor(options) {
+    this.options = Object.assign({}, AssetStore.DEFAULT_OPTIONS, options);
+    this.database = null;
+    this.urls = new Map();
+  }
+
+  /**
+   * @param {string} kind
+   * @param {string} assetId
+   * @return {string} The key of an asset in the database.
+   */
+  static getKey(kind, assetId) {
+    return `${kind}/${assetId}`;
+  }
+
+  /**
+   * Strips the content of an asset record.
+   * @param {!Object} record
+   * @return {!Object} The metadata of the asset.
+   */
+  static describe(record) {
+    return {
+      kind: record.kind,
+      assetId: record.assetId,
+      name: record.name,
+      mimeType: record.mimeType,
+      size: record.size,
+      storedAt: record.storedAt,
+      lastUsed: record.lastUsed
+    };
+  }
+
+  /**
+   * Opens the database, creating it on first use.
+   * @return {!Promise<!IDBDatabase>}
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available.'));
+          return;
+        }
+
+        const request = window.indexedDB.open(this.options.databaseName,
+          AssetStore.DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(AssetStore.STORE_NAME,
+            { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      this.database.catch((error) => {
+        castDebugLogger.error(LOG_ASSETS_TAG,
+          `Unable to open the asset store: ${error.message}`);
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Runs requests in a transaction of the asset object store.
+   * @param {string} mode 'readonly' or 'readwrite'.
+   * @param {function(!IDBObjectStore): ?IDBRequest} callback Issues the
+   *     requests, and returns the one whose result is wanted.
+   * @return {!Promise} Resolves with the result of the request returned by
+   *     the callback once the transaction completes.
+   */
+  transact(mode, callback) {
+    return this.open()
+    .then((database) => new Promise((resolve, reject) => {
+      const transaction = database.transaction(AssetStore.STORE_NAME, mode);
+      const request = callback(transaction.objectStore(AssetStore.STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  }
+
+  /**
+   * Stores an asset, replacing the asset of the same kind and ID, and evicts
+   * the least recently used assets over the limits.
+   * @param {string} kind
+   * @param {string} assetId
+   * @param {!Blob} blob
+   * @param {string=} name Name of the asset, e.g. its file name.
+   * @return {!Promise<!Object>} Resolves with the metadata of the asset.
+   */
+  put(kind, assetId, blob, name) {
+    if (blob.size > this.options.maxAssetBytes) {
+      return Promise.reject(new Error(`${kind} ${assetId} is over the `
+        + `${this.options.maxAssetBytes} bytes assets are limited to.`));
+    }
+
+    const now = Date.now();
+    const record = {
+      key: AssetStore.getKey(kind, assetId),
+      kind: kind,
+      assetId: assetId,
+      name: name || null,
+      mimeType: blob.type,
+      size: blob.size,
+      blob: blob,
+      storedAt: now,
+      lastUsed: now
+    };
+    this.revokeUrl(record.key);
+    return this.transact('readwrite', (store) => {
+      store.put(record);
+      return null;
+    })
+    .then(() => this.evict(record.key))
+    .then(() => AssetStore.describe(record));
+  }
+
+  /**
+   * Obtains an asset and marks it as used.
+   * @param {string} kind
+   * @param {string} assetId
+   * @return {!Promise<?Object>} Resolves with the asset record, holding the
+   *     metadata and the blob, or null when it is not stored.
+   */
+  get(kind, assetId) {
+    return this.transact('readwrite', (store) => {
+      const request = store.get(AssetStore.getKey(kind, assetId));
+      request.onsuccess = () => {
+        if (request.result) {
+          request.result.lastUsed = Date.now();
+          store.put(request.result);
+        }
+      };
+      return request;
+    })
+    .then((record) => record || null);
+  }
+
+  /**
+   * Obtains an object URL of an asset. URLs are kept until the asset is
+   * replaced or evicted.
+   * @param {string} kind
+   * @param {string} assetId
+   * @return {!Promise<?string>} Resolves with null when the asset is not
+   *     stored.
+   */
+  getUrl(kind, assetId) {
+    return this.get(kind, assetId)
+    .then((record) => {
+      if (!record) {
+        return null;
+      }
+      if (!this.urls.has(record.key)) {
+        this.urls.set(record.key, URL.createObjectURL(record.blob));
+      }
+      return this.urls.get(record.key);
+    });
+  }
+
+  /**
+   * Lists the stored assets.
+   * @param {string=} kind Only lists the assets of this kind.
+   * @return {!Promise<!Array<!Object>>} Resolves with the metadata of the
+   *     assets.
+   */
+  list(kind) {
+    return this.transact('readonly', (store) => store.getAll())
+    .then((records) => records
+      .filter((record) => !kind || record.kind == kind)
+      .map((record) => AssetStore.describe(record)));
+  }
+
+  /**
+   * Removes an asset.
+   * @param {string} kind
+   * @param {string} assetId
+   * @return {!Promise}
+   */
+  delete(kind, assetId) {
+    const key = AssetStore.getKey(kind, assetId);
+    this.revokeUrl(key);
+    return this.transact('readwrite', (store) => store.delete(key));
+  }
+
+  /**
+   * Removes the least recently used assets until the store is within its
+   * limits.
+   * @param {string=} keepKey Key of an asset never evicted, e.g. the one just
+   *     stored.
+   * @return {!Promise<number>} Resolves with the number of assets evicted.
+   */
+  evict(keepKey) {
+    const evicted = [];
+    return this.transact('readwrite', (store) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const records = request.result
+          .sort((a, b) => a.lastUsed - b.lastUsed);
+        let totalBytes = records.reduce((total, record) =>
+          total + record.size, 0);
+        let count = records.length;
+        records.forEach((record) => {
+          if (record.key != keepKey && (totalBytes > this.options.maxBytes
+            || count > this.options.maxAssets)) {
+            store.delete(record.key);
+            totalBytes -= record.size;
+            count--;
+            evicted.push(record.key);
+          }
+        });
+      };
+      return null;
+    })
+    .then(() => {
+      evicted.forEach((key) => this.revokeUrl(key));
+      if (evicted.length) {
+        castDebugLogger.info(LOG_ASSETS_TAG, `Evicted ${evicted.join(', ')}`);
+      }
+      return evicted.length;
+    });
+  }
+
+  /**
+   * Releases the object URL of an asset.
+   * @param {string} key
+   */
+  revokeUrl(key) {
+    if (this.urls.has(key)) {
+      URL.revokeObjectURL(this.urls.get(key));
+      this.urls.delete(key);
+    }
+  }
+}
+
+export {
+  AssetStore
+};
@@ -0,0 +1,399 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * @fileoverview Message protocol of the custom channel shared with the sender
+ * app. Messages are JSON objects of the form:
+ *
+ *   {"version": 1, "id": "42", "type": "SET_NAME", "payload": {"value": "Ann"}}
+ *
+ * `version` is the protocol version the sender speaks, `type` one of
+ * MessageType and `payload` the fields listed for the type in MessageSchema.
+ * `id` is optional; messages carrying one are acknowledged with an ACK reply.
+ * Messages that cannot be handled get an ERROR reply:
+ *
+ *   {"version": 1, "type": "ERROR", "replyTo": "42",
+ *    "payload": {"code": "INVALID_PAYLOAD", "message": "..."}}
+ *
+ * Messages of older senders, without a version and dispatched on their
+ * `description`, `message` and `num` fields, are mapped to typed messages.
+ */
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_PROTOCOL_TAG = 'Protocol';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_PROTOCOL_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/*
+ * Version of the protocol spoken by the receiver. Messages of newer versions
+ * are rejected; version 0 denotes the legacy messages.
+ */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Enumeration of the message types.
+ */
+const MessageType = {
+  PROFILE: 'PROFILE',
+  IMAGE_INDEX: 'IMAGE_INDEX',
+  SOUND_INDEX: 'SOUND_INDEX',
+  SOUND_URL: 'SOUND_URL',
+  TASK_SOUND_INDEX: 'TASK_SOUND_INDEX',
+  TASK_SOUND_URL: 'TASK_SOUND_URL',
+  TASK_STRING_INDEX: 'TASK_STRING_INDEX',
+  TASK: 'TASK',
+  TASKS: 'TASKS',
+  TASK_SCHEDULE: 'TASK_SCHEDULE',
+  TASK_UPDATE: 'TASK_UPDATE',
+  START_TASK: 'START_TASK',
+  START_INTRO: 'START_INTRO',
+  SET_NAME: 'SET_NAME',
+  IMAGE_CHUNK: 'IMAGE_CHUNK',
+  AUDIO_CHUNK: 'AUDIO_CHUNK',
+  LIST_ASSETS: 'LIST_ASSETS',
+  AUDIO_PLAY: 'AUDIO_PLAY',
+  AUDIO_STOP: 'AUDIO_STOP',
+  AUDIO_LOOP: 'AUDIO_LOOP',
+  AUDIO_VOLUME: 'AUDIO_VOLUME',
+  TIMER_START: 'TIMER_START',
+  TIMER_PAUSE: 'TIMER_PAUSE',
+  TIMER_RESUME: 'TIMER_RESUME',
+  TIMER_RESET: 'TIMER_RESET',
+  TIMER_ENDED: 'TIMER_ENDED',
+  UNITY_REPLY: 'UNITY_REPLY',
+  STATE: 'STATE',
+  ACK: 'ACK',
+  ERROR: 'ERROR'
+};
+
+/**
+ * Payload fields of each message type, mapped to their `typeof`, or 'array'.
+ * A trailing '?' marks an optional field.
+ */
+const MessageSchema = {
+  [MessageType.PROFILE]: { value: 'string' },
+  [MessageType.IMAGE_INDEX]: { value: 'string' },
+  [MessageType.SOUND_INDEX]: { value: 'string' },
+  [MessageType.SOUND_URL]: { value: 'string' },
+  [MessageType.TASK_SOUND_INDEX]: { value: 'string' },
+  [MessageType.TASK_SOUND_URL]: { value: 'string' },
+  [MessageType.TASK_STRING_INDEX]: { value: 'string' },
+  [MessageType.TASK]: { value: 'string' },
+  [MessageType.TASKS]: { tasks: 'array' },
+  [MessageType.TASK_SCHEDULE]: { days: 'array' },
+  [MessageType.TASK_UPDATE]: {
+    taskId: 'string',
+    title: 'string?',
+    icon: 'string?',
+    duration: 'number?',
+    done: 'boolean?'
+  },
+  [MessageType.START_TASK]: { value: 'string?' },
+  [MessageType.START_INTRO]: { value: 'string?' },
+  [MessageType.SET_NAME]: { value: 'string' },
+  [MessageType.IMAGE_CHUNK]: { num: 'number', data: 'string?' },
+  [MessageType.AUDIO_CHUNK]: { num: 'number', data: 'string?' },
+  [MessageType.LIST_ASSETS]: { kind: 'string?' },
+  [MessageType.AUDIO_PLAY]: {
+    assetId: 'string?',
+    url: 'string?',
+    loop: 'boolean?',
+    queue: 'boolean?'
+  },
+  [MessageType.AUDIO_STOP]: {},
+  [MessageType.AUDIO_LOOP]: { loop: 'boolean' },
+  [MessageType.AUDIO_VOLUME]: { volume: 'number' },
+  [MessageType.TIMER_START]: {
+    mode: 'string?',
+    duration: 'number?',
+    taskId: 'string?',
+    endSoundAssetId: 'string?',
+    endSoundUrl: 'string?'
+  },
+  [MessageType.TIMER_PAUSE]: {},
+  [MessageType.TIMER_RESUME]: {},
+  [MessageType.TIMER_RESET]: {}
+};
+
+/**
+ * Message types of the legacy senders, keyed by their `description`.
+ */
+const LEGACY_DESCRIPTIONS = {
+  'Profile': MessageType.PROFILE,
+  'ImageIndex': MessageType.IMAGE_INDEX,
+  'SoundIndex': MessageType.SOUND_INDEX,
+  'SoundURL': MessageType.SOUND_URL,
+  'TaskSoundIndex': MessageType.TASK_SOUND_INDEX,
+  'TaskSoundURL': MessageType.TASK_SOUND_URL,
+  'TaskStringIndex': MessageType.TASK_STRING_INDEX,
+  'Task': MessageType.TASK,
+  'tasks': MessageType.TASKS,
+  'startTask': MessageType.START_TASK,
+  'startIntro': MessageType.START_INTRO,
+  'SetName': MessageType.SET_NAME,
+  'audio': MessageType.AUDIO_CHUNK
+};
+
+/**
+ * Enumeration of the codes of ERROR replies.
+ */
+const ProtocolErrorCode = {
+  MALFORMED: 'MALFORMED',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  HANDLER_FAILED: 'HANDLER_FAILED'
+};
+
+/**
+ * Error raised for messages that cannot be handled, reported to the sender
+ * in an ERROR reply.
+ */
+class ProtocolError extends Error {
+  /**
+   * @param {string} code One of ProtocolErrorCode.
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validates and dispatches the messages of a custom channel to the handlers
+ * registered per message type, and replies to their senders.
+ */
+class ChannelProtocol {
+  /**
+   * @param {!SenderMessenger} messenger Sends the replies on the channel.
+   */
+  constructor(messenger) {
+    this.messenger = messenger;
+    this.schemas = Object.assign({}, MessageSchema);
+    this.handlers = {};
+  }
+
+  /**
+   * Adds a message type, e.g. for a feature built on the protocol.
+   * @param {string} type
+   * @param {!Object<string, string>} schema Payload fields, as in
+   *     MessageSchema.
+   */
+  registerType(type, schema) {
+    this.schemas[type] = schema;
+  }
+
+  /**
+   * Sets the handler of a message type. Handlers are called with the payload,
+   * the whole message and the senderId, and may return a result, or a
+   * promise of it, sent back in the ACK reply.
+   * @param {string} type
+   * @param {function(!Object, !Object, string): *} handler
+   */
+  register(type, handler) {
+    if (!this.schemas[type]) {
+      throw new Error(`Unknown message type: ${type}`);
+    }
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Handles a message of the channel.
+   * @param {cast.framework.system.Event} customEvent The event of the custom
+   *     message listener, carrying the senderId and data.
+   * @return {!Promise} Resolves once the message is handled and replied to.
+   */
+  handle(customEvent) {
+    let message = null;
+    return Promise.resolve()
+    .then(() => {
+      message = ChannelProtocol.parse(customEvent.data);
+      this.validate(message);
+      const handler = this.handlers[message.type];
+      if (!handler) {
+        throw new ProtocolError(ProtocolErrorCode.UNKNOWN_TYPE,
+          `No handler for ${message.type} messages.`);
+      }
+      return Promise.resolve(handler(message.payload, message,
+        customEvent.senderId))
+      .catch((error) => {
+        throw error instanceof ProtocolError ? error : new ProtocolError(
+          ProtocolErrorCode.HANDLER_FAILED, error.message || String(error));
+      });
+    })
+    .then((result) => {
+      if (message.id != null) {
+        this.reply(customEvent.senderId, MessageType.ACK, message.id,
+          { result: result === undefined ? null : result });
+      }
+    }, (error) => {
+      castDebugLogger.warn(LOG_PROTOCOL_TAG,
+        `Rejected message: ${error.message}`);
+      // Messages rejected before being parsed are replied to by their raw ID.
+      const id = message ? message.id
+        : customEvent.data && customEvent.data.id;
+      this.reply(customEvent.senderId, MessageType.ERROR,
+        id != null ? id : null, {
+          code: error.code || ProtocolErrorCode.MALFORMED,
+          message: error.message
+        });
+    });
+  }
+
+  /**
+   * Converts the data of a custom message to a typed message, mapping legacy
+   * messages to their type.
+   * @param {*} data The data of the custom message; strings are parsed as
+   *     JSON.
+   * @return {{version: number, id: (string|undefined), type: string,
+   *     payload: !Object}}
+   */
+  static parse(data) {
+    if (typeof data == 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        throw new ProtocolError(ProtocolErrorCode.MALFORMED,
+          'Message is not valid JSON.');
+      }
+    }
+    if (!data || typeof data != 'object' || Array.isArray(data)) {
+      throw new ProtocolError(ProtocolErrorCode.MALFORMED,
+        'Message is not an object.');
+    }
+
+    if (data.version == null) {
+      return ChannelProtocol.parseLegacy(data);
+    }
+    if (typeof data.version != 'number' || data.version > PROTOCOL_VERSION) {
+      throw new ProtocolError(ProtocolErrorCode.UNSUPPORTED_VERSION,
+        `Unsupported protocol version ${data.version}, the receiver speaks `
+        + `version ${PROTOCOL_VERSION}.`);
+    }
+    if (typeof data.type != 'string') {
+      throw new ProtocolError(ProtocolErrorCode.MALFORMED,
+        'Message has no type.');
+    }
+    return {
+      version: data.version,
+      id: data.id,
+      type: data.type,
+      payload: data.payload || {}
+    };
+  }
+
+  /**
+   * Maps a message of a legacy sender to a typed message. Messages without a
+   * known description but with a `num` are image chunks.
+   * @param {!Object} data
+   * @return {{version: number, type: string, payload: !Object}}
+   */
+  static parseLegacy(data) {
+    let type = LEGACY_DESCRIPTIONS[data.description];
+    if (!type && data.num != null) {
+      type = MessageType.IMAGE_CHUNK;
+    }
+    if (!type) {
+      throw new ProtocolError(ProtocolErrorCode.UNKNOWN_TYPE,
+        `Unknown message description: ${data.description}`);
+    }
+
+    let payload = null;
+    if (type == MessageType.IMAGE_CHUNK || type == MessageType.AUDIO_CHUNK) {
+      payload = { num: Number(data.num), data: data.message };
+    } else if (type == MessageType.TASKS) {
+      try {
+        payload = JSON.parse(data.message);
+      } catch (e) {
+        throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+          'The tasks message is not valid JSON.');
+      }
+    } else {
+      payload = { value: data.message == null ? undefined
+        : String(data.message) };
+    }
+    return { version: 0, type: type, payload: payload };
+  }
+
+  /**
+   * Checks the payload of a message against the schema of its type.
+   * @param {{type: string, payload: !Object}} message
+   */
+  validate(message) {
+    const schema = this.schemas[message.type];
+    if (!schema) {
+      throw new ProtocolError(ProtocolErrorCode.UNKNOWN_TYPE,
+        `Unknown message type: ${message.type}`);
+    }
+    if (!message.payload || typeof message.payload != 'object') {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `${message.type} payload is not an object.`);
+    }
+
+    Object.entries(schema).forEach(([field, fieldType]) => {
+      const optional = fieldType.endsWith('?');
+      const expected = optional ? fieldType.slice(0, -1) : fieldType;
+      const value = message.payload[field];
+      if (value == null) {
+        if (!optional) {
+          throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+            `${message.type} payload lacks ${field}.`);
+        }
+        return;
+      }
+
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual != expected) {
+        throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+          `${message.type} ${field} should be a ${expected}, not a `
+          + `${actual}.`);
+      }
+    });
+  }
+
+  /**
+   * Sends a reply to a sender on the channel.
+   * @param {string} senderId
+   * @param {string} type
+   * @param {?string} replyTo ID of the message replied to.
+   * @param {!Object} payload
+   */
+  reply(senderId, type, replyTo, payload) {
+    this.messenger.send(senderId, type, payload, replyTo);
+  }
+}
+
+export {
+  PROTOCOL_VERSION,
+  MessageType,
+  MessageSchema,
+  ProtocolErrorCode,
+  ProtocolError,
+  ChannelProtocol
+};
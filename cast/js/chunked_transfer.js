@@ -0,0 +1,512 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import {
+  MessageType,
+  ProtocolErrorCode,
+  ProtocolError
+} from './channel_protocol.js';
+
+/**
+ * @fileoverview Transfers of images and sounds from the senders over the
+ * custom channel. A sender base64 encodes an asset, splits the encoding into
+ * chunks and announces the transfer before sending them:
+ *
+ *   {"version": 1, "type": "TRANSFER_START", "payload": {"transferId": "t1",
+ *    "kind": "image", "mimeType": "image/png", "totalSize": 48213,
+ *    "chunkCount": 12, "crc32": 2914893311}}
+ *   {"version": 1, "type": "TRANSFER_CHUNK", "payload": {"transferId": "t1",
+ *    "seq": 0, "data": "iVBORw0KGgo..."}}
+ *
+ * `totalSize` and `crc32` are the length and CRC-32 of the decoded asset. An
+ * optional `assetId` names the asset for later messages, e.g. the page index
+ * of an image. Every chunk is acknowledged with a CHUNK_ACK, holding the
+ * percentage of the transfer received so far, gaps in the sequence are
+ * reported with a RESEND_REQUEST listing the missing chunks, and the transfer
+ * ends with a TRANSFER_COMPLETE once the asset is verified, or a
+ * TRANSFER_FAILED. Transfers are told apart by sender and ID, so images and
+ * sounds can be sent at the same time. Transfers of assets over the size limit
+ * are refused.
+ *
+ * The numbered IMAGE_CHUNK and AUDIO_CHUNK messages of legacy senders are
+ * still accepted, one transfer of each kind per sender, without verification.
+ */
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_TRANSFER_TAG = 'Transfer';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_TRANSFER_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Enumeration of the message types of transfers.
+ */
+const TransferMessageType = {
+  TRANSFER_START: 'TRANSFER_START',
+  TRANSFER_CHUNK: 'TRANSFER_CHUNK',
+  CHUNK_ACK: 'CHUNK_ACK',
+  RESEND_REQUEST: 'RESEND_REQUEST',
+  TRANSFER_COMPLETE: 'TRANSFER_COMPLETE',
+  TRANSFER_FAILED: 'TRANSFER_FAILED'
+};
+
+/**
+ * Enumeration of the kinds of assets transferred.
+ */
+const TransferKind = {
+  IMAGE: 'image',
+  AUDIO: 'audio'
+};
+
+/**
+ * Enumeration of the reasons of TRANSFER_FAILED messages.
+ */
+const TransferFailure = {
+  UNKNOWN_TRANSFER: 'UNKNOWN_TRANSFER',
+  TIMED_OUT: 'TIMED_OUT',
+  SIZE_MISMATCH: 'SIZE_MISMATCH',
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+  INVALID_DATA: 'INVALID_DATA'
+};
+
+/**
+ * Computes the length of the base64 encoding of some bytes.
+ * @param {number} size The number of bytes.
+ * @return {number}
+ */
+function base64Length(size) {
+  return 4 * Math.ceil(size / 3);
+}
+
+/*
+ * Lookup table of the CRC-32 (IEEE 802.3) of every byte value.
+ */
+const CRC32_TABLE = new Uint32Array(256).map((value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of bytes, as computed by zlib.
+ * @param {!Uint8Array} bytes
+ * @return {number} The checksum, as an unsigned integer.
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Decodes base64 data.
+ * @param {string} base64
+ * @return {!Uint8Array}
+ */
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Schedules a callback. The receiver page replaces window.setTimeout to keep
+ * the framework from closing it when idle, and keeps the original as
+ * window._setTimeout.
+ * @param {function()} callback
+ * @param {number} delayMs
+ * @return {number} The timer ID.
+ */
+function setTimer(callback, delayMs) {
+  return (window._setTimeout || window.setTimeout)(callback, delayMs);
+}
+
+/**
+ * Receives the assets transferred over a ChannelProtocol and hands the
+ * verified ones to its listeners.
+ */
+class TransferManager {
+  static DEFAULT_OPTIONS = {
+    // Delay, in milliseconds, without chunks before the missing ones are
+    // requested again.
+    stallTimeoutMs: 2000,
+    // Resend requests for a stalled transfer before it fails.
+    maxResendRequests: 5,
+    // Transfers received at the same time.
+    maxConcurrentTransfers: 8,
+    // Largest asset accepted, in bytes, as stored by AssetStore.
+    maxAssetBytes: 10 * 1024 * 1024,
+    // Most chunks a transfer may be split into.
+    maxChunkCount: 20000
+  };
+
+  /**
+   * @param {!ChannelProtocol} protocol
+   * @param {Object=} options Overrides of DEFAULT_OPTIONS.
+   */
+  constructor(protocol, options) {
+    this.protocol = protocol;
+    this.options = Object.assign({}, TransferManager.DEFAULT_OPTIONS,
+      options);
+    this.transfers = {};
+    this.legacyTransfers = {};
+    this.listeners = [];
+
+    protocol.registerType(TransferMessageType.TRANSFER_START, {
+      transferId: 'string',
+      kind: 'string',
+      mimeType: 'string?',
+      name: 'string?',
+      assetId: 'string?',
+      totalSize: 'number',
+      chunkCount: 'number',
+      crc32: 'number'
+    });
+    protocol.registerType(TransferMessageType.TRANSFER_CHUNK, {
+      transferId: 'string',
+      seq: 'number',
+      data: 'string'
+    });
+    protocol.register(TransferMessageType.TRANSFER_START,
+      (payload, message, senderId) => this.start(senderId, payload));
+    protocol.register(TransferMessageType.TRANSFER_CHUNK,
+      (payload, message, senderId) => this.receiveChunk(senderId, payload));
+    protocol.register(MessageType.IMAGE_CHUNK, (payload, message, senderId) =>
+      this.receiveLegacyChunk(senderId, TransferKind.IMAGE, payload));
+    protocol.register(MessageType.AUDIO_CHUNK, (payload, message, senderId) =>
+      this.receiveLegacyChunk(senderId, TransferKind.AUDIO, payload));
+  }
+
+  /**
+   * Adds a listener called with every asset received, as an object with the
+   * `id`, `kind`, `mimeType`, `name`, `assetId` and `senderId` of the
+   * transfer and the asset as `base64` and `bytes`.
+   * @param {function(!Object)} listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Starts receiving a transfer, restarting it when the sender announces it
+   * again.
+   * @param {string} senderId
+   * @param {!Object} payload The TRANSFER_START payload.
+   */
+  start(senderId, payload) {
+    if (!Object.values(TransferKind).includes(payload.kind)) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `Unknown transfer kind: ${payload.kind}`);
+    }
+    if (!Number.isInteger(payload.chunkCount) || payload.chunkCount < 1
+      || !Number.isInteger(payload.totalSize) || payload.totalSize < 0) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        'chunkCount and totalSize should be positive integers.');
+    }
+    if (payload.totalSize > this.options.maxAssetBytes) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `Assets are limited to ${this.options.maxAssetBytes} bytes.`);
+    }
+    // Every chunk holds at least a character of the base64 encoding.
+    if (payload.chunkCount > this.options.maxChunkCount
+      || payload.chunkCount > Math.max(1, base64Length(payload.totalSize))) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `Too many chunks for ${payload.totalSize} bytes.`);
+    }
+
+    const key = TransferManager.getKey(senderId, payload.transferId);
+    this.discard(key);
+    if (Object.keys(this.transfers).length
+      >= this.options.maxConcurrentTransfers) {
+      throw new ProtocolError(ProtocolErrorCode.HANDLER_FAILED,
+        'Too many transfers in progress.');
+    }
+
+    this.transfers[key] = {
+      id: payload.transferId,
+      senderId: senderId,
+      kind: payload.kind,
+      mimeType: payload.mimeType || null,
+      name: payload.name || null,
+      assetId: payload.assetId || null,
+      totalSize: payload.totalSize,
+      crc32: payload.crc32 >>> 0,
+      chunks: new Array(payload.chunkCount),
+      receivedCount: 0,
+      requested: new Set(),
+      resendRequests: 0,
+      timer: null
+    };
+    this.watch(key);
+    castDebugLogger.info(LOG_TRANSFER_TAG, `Receiving ${payload.kind} `
+      + `${payload.transferId} in ${payload.chunkCount} chunks`);
+  }
+
+  /**
+   * Stores a chunk, acknowledges it and requests the chunks skipped before
+   * it.
+   * @param {string} senderId
+   * @param {!Object} payload The TRANSFER_CHUNK payload.
+   */
+  receiveChunk(senderId, payload) {
+    const key = TransferManager.getKey(senderId, payload.transferId);
+    const transfer = this.transfers[key];
+    if (!transfer) {
+      this.protocol.messenger.send(senderId,
+        TransferMessageType.TRANSFER_FAILED, {
+          transferId: payload.transferId,
+          reason: TransferFailure.UNKNOWN_TRANSFER
+        });
+      return;
+    }
+    if (!Number.isInteger(payload.seq) || payload.seq < 0
+      || payload.seq >= transfer.chunks.length) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `Chunk ${payload.seq} is out of the range of ${transfer.id}.`);
+    }
+
+    if (transfer.chunks[payload.seq] == null) {
+      transfer.chunks[payload.seq] = payload.data;
+      transfer.receivedCount++;
+    }
+    transfer.requested.delete(payload.seq);
+    transfer.resendRequests = 0;
+    this.protocol.messenger.send(senderId, TransferMessageType.CHUNK_ACK, {
+      transferId: transfer.id,
+      seq: payload.seq,
+      progress: Math.floor(100 * transfer.receivedCount
+        / transfer.chunks.length)
+    });
+
+    if (transfer.receivedCount == transfer.chunks.length) {
+      this.finish(key);
+      return;
+    }
+
+    // Chunks are sent in order, so the ones skipped were lost.
+    const missing = this.getMissing(transfer, payload.seq)
+      .filter((seq) => !transfer.requested.has(seq));
+    if (missing.length) {
+      this.requestResend(transfer, missing);
+    }
+    this.watch(key);
+  }
+
+  /**
+   * Stores a chunk of a legacy sender, numbered from 0, the last one
+   * numbered -1.
+   * @param {string} senderId
+   * @param {string} kind One of TransferKind.
+   * @param {!Object} payload The IMAGE_CHUNK or AUDIO_CHUNK payload.
+   */
+  receiveLegacyChunk(senderId, kind, payload) {
+    const key = TransferManager.getKey(senderId, kind);
+    if (payload.num == 0 || this.legacyTransfers[key] == null) {
+      this.legacyTransfers[key] = '';
+    }
+    this.legacyTransfers[key] += payload.data || '';
+    if (payload.num != -1) {
+      return;
+    }
+
+    const base64 = this.legacyTransfers[key];
+    delete this.legacyTransfers[key];
+    let bytes = null;
+    try {
+      bytes = decodeBase64(base64);
+    } catch (e) {
+      throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+        `The ${kind} received is not valid base64.`);
+    }
+    this.notify({
+      id: null,
+      senderId: senderId,
+      kind: kind,
+      mimeType: kind == TransferKind.IMAGE ? 'image/png' : null,
+      name: null,
+      assetId: null,
+      base64: base64,
+      bytes: bytes
+    });
+  }
+
+  /**
+   * Verifies a transfer whose chunks were all received and hands it to the
+   * listeners.
+   * @param {string} key
+   */
+  finish(key) {
+    const transfer = this.transfers[key];
+    this.discard(key);
+
+    const base64 = transfer.chunks.join('');
+    let bytes = null;
+    try {
+      bytes = decodeBase64(base64);
+    } catch (e) {
+      this.fail(transfer, TransferFailure.INVALID_DATA);
+      return;
+    }
+    if (bytes.length != transfer.totalSize) {
+      this.fail(transfer, TransferFailure.SIZE_MISMATCH);
+      return;
+    }
+    if (crc32(bytes) != transfer.crc32) {
+      this.fail(transfer, TransferFailure.CHECKSUM_MISMATCH);
+      return;
+    }
+
+    this.protocol.messenger.send(transfer.senderId,
+      TransferMessageType.TRANSFER_COMPLETE, { transferId: transfer.id });
+    castDebugLogger.info(LOG_TRANSFER_TAG,
+      `Received ${transfer.kind} ${transfer.id}, ${bytes.length} bytes`);
+    this.notify({
+      id: transfer.id,
+      senderId: transfer.senderId,
+      kind: transfer.kind,
+      mimeType: transfer.mimeType,
+      name: transfer.name,
+      assetId: transfer.assetId,
+      base64: base64,
+      bytes: bytes
+    });
+  }
+
+  /**
+   * Calls the listeners with a received asset.
+   * @param {!Object} asset
+   */
+  notify(asset) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(asset);
+      } catch (e) {
+        castDebugLogger.error(LOG_TRANSFER_TAG,
+          `Listener failed on ${asset.kind} ${asset.id}: ${e.message}`);
+      }
+    });
+  }
+
+  /**
+   * Reports a failed transfer to its sender.
+   * @param {!Object} transfer
+   * @param {string} reason One of TransferFailure.
+   */
+  fail(transfer, reason) {
+    castDebugLogger.warn(LOG_TRANSFER_TAG,
+      `Transfer ${transfer.id} failed: ${reason}`);
+    this.protocol.messenger.send(transfer.senderId,
+      TransferMessageType.TRANSFER_FAILED,
+      { transferId: transfer.id, reason: reason });
+  }
+
+  /**
+   * Lists the chunks missing from a transfer.
+   * @param {!Object} transfer
+   * @param {number=} before Only lists the chunks before this one.
+   * @return {!Array<number>}
+   */
+  getMissing(transfer, before = transfer.chunks.length) {
+    const missing = [];
+    for (let seq = 0; seq < before; seq++) {
+      if (transfer.chunks[seq] == null) {
+        missing.push(seq);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Asks the sender of a transfer for chunks again.
+   * @param {!Object} transfer
+   * @param {!Array<number>} missing
+   */
+  requestResend(transfer, missing) {
+    missing.forEach((seq) => transfer.requested.add(seq));
+    this.protocol.messenger.send(transfer.senderId,
+      TransferMessageType.RESEND_REQUEST,
+      { transferId: transfer.id, missing: missing });
+  }
+
+  /**
+   * Restarts the stall timer of a transfer. Once it expires every missing
+   * chunk is requested again, until maxResendRequests fail to make progress.
+   * @param {string} key
+   */
+  watch(key) {
+    const transfer = this.transfers[key];
+    window.clearTimeout(transfer.timer);
+    transfer.timer = setTimer(() => {
+      if (this.transfers[key] != transfer) {
+        return;
+      }
+      if (transfer.resendRequests >= this.options.maxResendRequests) {
+        this.discard(key);
+        this.fail(transfer, TransferFailure.TIMED_OUT);
+        return;
+      }
+      transfer.resendRequests++;
+      this.requestResend(transfer, this.getMissing(transfer));
+      this.watch(key);
+    }, this.options.stallTimeoutMs);
+  }
+
+  /**
+   * Forgets a transfer.
+   * @param {string} key
+   */
+  discard(key) {
+    const transfer = this.transfers[key];
+    if (transfer) {
+      window.clearTimeout(transfer.timer);
+      delete this.transfers[key];
+    }
+  }
+
+  /**
+   * @param {string} senderId
+   * @param {string} transferId
+   * @return {string} The key of a transfer in the transfers map.
+   */
+  static getKey(senderId, transferId) {
+    return `${senderId}|${transferId}`;
+  }
+}
+
+export {
+  TransferMessageType,
+  TransferKind,
+  TransferFailure,
+  crc32,
+  TransferManager
+};
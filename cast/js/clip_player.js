@@ -0,0 +1,239 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_AUDIO_TAG = 'Audio';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_AUDIO_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Plays sound clips through the Web Audio API, whichever front end the
+ * receiver page renders with. Clips are decoded from transferred bytes or
+ * fetched from URLs, and played one after the other: a clip queued while
+ * another plays starts once it ends.
+ */
+class ClipPlayer {
+  /*
+   * Clips fetched from URLs kept decoded.
+   */
+  static MAX_CACHED_CLIPS = 20;
+
+  constructor() {
+    this.audioContext = null;
+    this.gainNode = null;
+    this.volume = 1;
+    this.queue = [];
+    this.current = null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Obtains the audio context, creating it on first use.
+   * @return {!AudioContext}
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext
+        || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass();
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = this.volume;
+      this.gainNode.connect(this.audioContext.destination);
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Decodes encoded audio, e.g. an Ogg or MP3 file.
+   * @param {!ArrayBuffer} arrayBuffer Detached by the decoding.
+   * @return {!Promise<!AudioBuffer>}
+   */
+  decode(arrayBuffer) {
+    // Older audio contexts only take callbacks.
+    return new Promise((resolve, reject) => {
+      const promise = this.getAudioContext().decodeAudioData(arrayBuffer,
+        resolve, reject);
+      if (promise) {
+        promise.catch(() => {});
+      }
+    })
+    .then((audioBuffer) => audioBuffer, (error) => {
+      throw new Error('Unable to decode audio: '
+        + (error && error.message || 'unsupported data'));
+    });
+  }
+
+  /**
+   * Decodes a transferred clip.
+   * @param {!Uint8Array} bytes
+   * @return {!Promise<!AudioBuffer>}
+   */
+  loadBytes(bytes) {
+    return this.decode(bytes.slice().buffer);
+  }
+
+  /**
+   * Fetches and decodes a clip. The most recently used clips are cached.
+   * @param {string} url
+   * @return {!Promise<!AudioBuffer>}
+   */
+  loadUrl(url) {
+    if (!this.cache.has(url)) {
+      const clip = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`${url} returned ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then((arrayBuffer) => this.decode(arrayBuffer));
+      clip.catch(() => {
+        // The clip may have been evicted and the URL fetched again since.
+        if (this.cache.get(url) === clip) {
+          this.cache.delete(url);
+        }
+      });
+      this.cache.set(url, clip);
+      if (this.cache.size > ClipPlayer.MAX_CACHED_CLIPS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    } else {
+      // Move the clip to the end of the insertion order.
+      const clip = this.cache.get(url);
+      this.cache.delete(url);
+      this.cache.set(url, clip);
+    }
+    return this.cache.get(url);
+  }
+
+  /**
+   * Plays a clip.
+   * @param {!Promise<!AudioBuffer>|!AudioBuffer} clip
+   * @param {{loop: (boolean|undefined), queue: (boolean|undefined)}=} options
+   *     `loop` repeats the clip until stopped or setLoop(false), `queue`
+   *     plays it after the clips already queued instead of stopping them.
+   */
+  play(clip, options = {}) {
+    if (!options.queue) {
+      this.stop();
+    }
+    const entry = { clip: Promise.resolve(clip), loop: !!options.loop };
+    // Failures are reported when the clip's turn comes.
+    entry.clip.catch(() => {});
+    this.queue.push(entry);
+    if (!this.current) {
+      this.playNext();
+    }
+  }
+
+  /**
+   * Starts the next queued clip.
+   */
+  playNext() {
+    const entry = this.queue.shift();
+    this.current = entry || null;
+    if (!entry) {
+      return;
+    }
+
+    const audioContext = this.getAudioContext();
+    if (audioContext.state == 'suspended') {
+      audioContext.resume();
+    }
+    entry.clip
+    .then((audioBuffer) => {
+      if (this.current != entry) {
+        return;
+      }
+      const source = audioContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.loop = entry.loop;
+      source.connect(this.gainNode);
+      source.onended = () => {
+        if (this.current == entry) {
+          this.playNext();
+        }
+      };
+      entry.source = source;
+      source.start();
+    })
+    .catch((error) => {
+      castDebugLogger.error(LOG_AUDIO_TAG, error.message);
+      if (this.current == entry) {
+        this.playNext();
+      }
+    });
+  }
+
+  /**
+   * Stops the clip playing and empties the queue.
+   */
+  stop() {
+    const entry = this.current;
+    this.queue = [];
+    this.current = null;
+    if (entry && entry.source) {
+      entry.source.onended = null;
+      entry.source.stop();
+    }
+  }
+
+  /**
+   * Sets whether the clip playing repeats.
+   * @param {boolean} loop
+   */
+  setLoop(loop) {
+    if (this.current) {
+      this.current.loop = loop;
+      if (this.current.source) {
+        this.current.source.loop = loop;
+      }
+    }
+  }
+
+  /**
+   * Sets the volume of every clip.
+   * @param {number} volume From 0, muted, to 1.
+   */
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, volume));
+    if (this.gainNode) {
+      this.gainNode.gain.value = this.volume;
+    }
+  }
+
+  /**
+   * @return {boolean} Whether a clip is playing or about to.
+   */
+  isPlaying() {
+    return !!this.current;
+  }
+}
+
+export {
+  ClipPlayer
+};
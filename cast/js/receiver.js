@@ -20,6 +20,21 @@ limitations under the License.
 import { CastQueue } from './queuing.js';
 import { MediaFetcher } from './media_fetcher.js';
 import { AdsTracker, SenderTracker, ContentTracker } from './cast_analytics.js';
+import {
+  MessageType,
+  ProtocolErrorCode,
+  ProtocolError,
+  ChannelProtocol
+} from './channel_protocol.js';
+import { SenderMessenger } from './sender_messenger.js';
+import { TaskBoard } from './task_board.js';
+import { TaskBoardView } from './task_board_view.js';
+import { TransferKind, TransferManager } from './chunked_transfer.js';
+import { AssetStore } from './asset_store.js';
+import { ClipPlayer } from './clip_player.js';
+import { UNITY_MESSAGE_MAP, UnityBridge } from './unity_bridge.js';
+import { TimerEvent, TimerMode, TaskTimer } from './task_timer.js';
+import { TaskTimerView } from './task_timer_view.js';
 
 /**
  * @fileoverview This sample demonstrates how to build your own Web Receiver for
@@ -238,15 +253,355 @@ controls.assignButton(
 
 const CHANNEL = 'urn:x-cast:cast.unity.demo';
 
+/*
+ * Messages of the custom channel, validated and dispatched by type.
+ */
+const senderMessenger = new SenderMessenger(context, CHANNEL);
+const channelProtocol = new ChannelProtocol(senderMessenger);
+
+// Lets the page scripts keep the senders posted.
+window.senderMessenger = senderMessenger;
+
+/*
+ * The Unity game of the pages hosting one.
+ */
+const unityBridge = new UnityBridge(channelProtocol);
+unityBridge.expose();
+unityBridge.mapMessages(UNITY_MESSAGE_MAP);
+
+/*
+ * The weekly task board, drawn on the pages with a Phaser scene.
+ */
+const taskBoard = new TaskBoard();
+taskBoard.addListener(() => {
+  senderMessenger.setState({ taskBoard: taskBoard.toJSON() });
+});
+
+/**
+ * Calls back with the scene of the page once it is created, on the pages
+ * announcing it.
+ * @param {function(!Phaser.Scene)} callback
+ */
+function whenSceneCreated(callback) {
+  if (window.mainScene) {
+    callback(window.mainScene);
+  } else {
+    document.addEventListener('scenecreated',
+      (event) => callback(event.detail), { once: true });
+  }
+}
+
+whenSceneCreated((scene) => new TaskBoardView(scene, taskBoard));
+
+/**
+ * Applies a change to the task board, reporting invalid changes to the
+ * sender.
+ * @param {function()} change
+ */
+function changeTaskBoard(change) {
+  try {
+    change();
+  } catch (e) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD, e.message);
+  }
+}
+
+channelProtocol.register(MessageType.TASK_SCHEDULE, (payload) => {
+  changeTaskBoard(() => taskBoard.setSchedule(payload));
+});
+
+channelProtocol.register(MessageType.TASK_UPDATE, (payload) => {
+  const changes = Object.assign({}, payload);
+  delete changes.taskId;
+  changeTaskBoard(() => taskBoard.updateTask(payload.taskId, changes));
+});
+
+/*
+ * Legacy senders send the task of each weekday, which starts the timer.
+ */
+channelProtocol.register(MessageType.TASKS, (payload, message) => {
+  if (message.version == 0 && !taskTimer.isStarted()) {
+    taskTimer.start();
+  }
+  const dayNames = typeof daysOfWeek != 'undefined' ? daysOfWeek
+    : ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+  changeTaskBoard(() => taskBoard.setSchedule(
+    TaskBoard.fromTaskList(payload.tasks, dayNames)));
+});
+
+/*
+ * Sounds are played by the Unity game on the pages hosting one, and by the
+ * receiver otherwise.
+ */
+const clipPlayer = new ClipPlayer();
+
+/**
+ * Plays a sound from a URL, through Unity when the page hosts a Unity game.
+ * @param {string} url
+ * @param {string} unityMethodName ImageHandler method taking the URL.
+ */
+function playSoundUrl(url, unityMethodName) {
+  if (!unityBridge.send('ImageHandler', unityMethodName, url)) {
+    clipPlayer.play(clipPlayer.loadUrl(url), { queue: true });
+  }
+}
+
+[
+  [MessageType.SOUND_URL, 'SetAudioURL'],
+  [MessageType.TASK_SOUND_URL, 'SetTaskAudioURL']
+].forEach(([type, unityMethodName]) => {
+  channelProtocol.register(type, (payload) => {
+    playSoundUrl(payload.value, unityMethodName);
+  });
+});
+
+/*
+ * Images and sounds uploaded by the senders. Those given an assetId are
+ * stored, to be shown or played again by index without being uploaded again.
+ */
+const assetStore = new AssetStore();
+const transferManager = new TransferManager(channelProtocol, {
+  maxAssetBytes: assetStore.options.maxAssetBytes
+});
+transferManager.addListener((asset) => {
+  if (asset.assetId) {
+    const blob = new Blob([asset.bytes], { type: asset.mimeType || '' });
+    assetStore.put(asset.kind, asset.assetId, blob, asset.name)
+    .catch((error) => {
+      castDebugLogger.warn(LOG_RECEIVER_TAG,
+        `Unable to store ${asset.kind} ${asset.assetId}: ${error.message}`);
+    });
+  }
+
+  if (asset.kind == TransferKind.IMAGE) {
+    if (typeof backgroundImageHTML != 'undefined') {
+      backgroundImageHTML.src =
+        `data:${asset.mimeType || 'image/png'};base64,${asset.base64}`;
+    }
+    unityBridge.send('ImageHandler', 'HandleImageDataPart', asset.base64);
+    unityBridge.send('ImageHandler', 'HandleImageData', '');
+  } else if (unityBridge.send('ImageHandler', 'HandleSoundDataPart',
+      asset.base64)) {
+    unityBridge.send('ImageHandler', 'HandleSoundData', '');
+  } else {
+    clipPlayer.play(clipPlayer.loadBytes(asset.bytes), { queue: true });
+  }
+});
+
+/**
+ * Obtains the object URL of a stored asset.
+ * @param {string} kind
+ * @param {string} assetId
+ * @return {!Promise<?string>} Resolves with null when the asset is not
+ *     stored or the store is unavailable.
+ */
+function getAssetUrl(kind, assetId) {
+  return assetStore.getUrl(kind, assetId)
+  .catch((error) => {
+    castDebugLogger.warn(LOG_RECEIVER_TAG,
+      `Unable to read ${kind} ${assetId}: ${error.message}`);
+    return null;
+  });
+}
+
+channelProtocol.register(MessageType.IMAGE_INDEX, (payload) => {
+  return getAssetUrl(TransferKind.IMAGE, payload.value)
+  .then((url) => {
+    if (url && typeof backgroundImageHTML != 'undefined') {
+      backgroundImageHTML.src = url;
+    }
+    unityBridge.send('ImageHandler', 'SetPageIndex', payload.value);
+    return { stored: !!url };
+  });
+});
+
+/*
+ * Stored sounds are handed to Unity by URL, other indexes are left for Unity
+ * to resolve.
+ */
+[
+  [MessageType.SOUND_INDEX, 'SetSoundIndex', 'SetAudioURL'],
+  [MessageType.TASK_SOUND_INDEX, 'SetTaskSoundIndex', 'SetTaskAudioURL']
+].forEach(([type, indexMethodName, urlMethodName]) => {
+  channelProtocol.register(type, (payload) => {
+    return getAssetUrl(TransferKind.AUDIO, payload.value)
+    .then((url) => {
+      if (url) {
+        playSoundUrl(url, urlMethodName);
+      } else {
+        unityBridge.send('ImageHandler', indexMethodName, payload.value);
+      }
+      return { stored: !!url };
+    });
+  });
+});
+
+/*
+ * Audio commands, played by the receiver whichever the front end.
+ */
+channelProtocol.register(MessageType.AUDIO_PLAY, (payload) => {
+  if (!payload.assetId == !payload.url) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+      'AUDIO_PLAY takes either an assetId or a url.');
+  }
+  return Promise.resolve(payload.url
+    || getAssetUrl(TransferKind.AUDIO, payload.assetId))
+  .then((url) => {
+    if (!url) {
+      throw new ProtocolError(ProtocolErrorCode.HANDLER_FAILED,
+        `No sound stored as ${payload.assetId}.`);
+    }
+    clipPlayer.play(clipPlayer.loadUrl(url), {
+      loop: payload.loop,
+      queue: payload.queue
+    });
+  });
+});
+
+channelProtocol.register(MessageType.AUDIO_STOP, () => {
+  clipPlayer.stop();
+});
+
+channelProtocol.register(MessageType.AUDIO_LOOP, (payload) => {
+  clipPlayer.setLoop(payload.loop);
+});
+
+channelProtocol.register(MessageType.AUDIO_VOLUME, (payload) => {
+  clipPlayer.setVolume(payload.volume);
+});
+
+/*
+ * Lets the senders find out which assets need not be uploaded again.
+ */
+channelProtocol.register(MessageType.LIST_ASSETS, (payload) => {
+  return assetStore.list(payload.kind)
+  .then((assets) => ({ assets: assets }));
+});
+
+/*
+ * The timer of the current task, drawn on the pages with a Phaser scene.
+ * Senders are told when a countdown ends, which may also play a sound.
+ */
+const taskTimer = new TaskTimer();
+let timerEndSound = null;
+
+/*
+ * Seconds between two reports of a running timer to the senders, which count
+ * the time themselves in between.
+ */
+const TIMER_SYNC_INTERVAL_SEC = 30;
+
+taskTimer.addListener((event, timer) => {
+  const state = timer.getState();
+  const reported = senderMessenger.getState().timer;
+  if (event != TimerEvent.TICK || !reported
+    || Math.abs(state.elapsed - reported.elapsed) >= TIMER_SYNC_INTERVAL_SEC) {
+    senderMessenger.setState({ timer: state });
+  }
+  if (event == TimerEvent.ENDED) {
+    senderMessenger.broadcast(MessageType.TIMER_ENDED, {
+      taskId: timer.taskId,
+      duration: timer.durationSec
+    });
+    playTimerEndSound(timerEndSound);
+  }
+});
+
+whenSceneCreated((scene) => new TaskTimerView(scene, taskTimer));
+
+/**
+ * Starts the timer, reporting invalid options to the sender.
+ * @param {!Object} options Options of TaskTimer.start().
+ * @param {?{url: ?string, assetId: ?string}} endSound Sound played when a
+ *     countdown ends.
+ */
+function startTimer(options, endSound) {
+  try {
+    taskTimer.start(options);
+  } catch (e) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD, e.message);
+  }
+  timerEndSound = endSound;
+}
+
+/**
+ * Plays the sound of the end of a countdown, from its URL or a stored asset.
+ * @param {?{url: ?string, assetId: ?string}} endSound
+ */
+function playTimerEndSound(endSound) {
+  if (!endSound) {
+    return;
+  }
+  Promise.resolve(endSound.url
+    || getAssetUrl(TransferKind.AUDIO, endSound.assetId))
+  .then((url) => {
+    if (url) {
+      clipPlayer.play(clipPlayer.loadUrl(url));
+    } else {
+      castDebugLogger.warn(LOG_RECEIVER_TAG,
+        `No sound stored as ${endSound.assetId}`);
+    }
+  });
+}
+
+channelProtocol.register(MessageType.TIMER_START, (payload) => {
+  if (payload.endSoundUrl && payload.endSoundAssetId) {
+    throw new ProtocolError(ProtocolErrorCode.INVALID_PAYLOAD,
+      'TIMER_START takes either an endSoundAssetId or an endSoundUrl.');
+  }
+  const endSound = payload.endSoundUrl || payload.endSoundAssetId ? {
+    url: payload.endSoundUrl || null,
+    assetId: payload.endSoundAssetId || null
+  } : null;
+  startTimer({
+    mode: payload.mode,
+    duration: payload.duration,
+    taskId: payload.taskId
+  }, endSound);
+  return taskTimer.getState();
+});
+
+channelProtocol.register(MessageType.TIMER_PAUSE, () => {
+  taskTimer.pause();
+  return taskTimer.getState();
+});
+
+channelProtocol.register(MessageType.TIMER_RESUME, () => {
+  taskTimer.resume();
+  return taskTimer.getState();
+});
+
+channelProtocol.register(MessageType.TIMER_RESET, () => {
+  taskTimer.reset();
+  return taskTimer.getState();
+});
+
+/*
+ * Starting a task times it, counting down from its duration on the task
+ * board, or up when it has none.
+ */
+channelProtocol.register(MessageType.START_TASK,
+  (payload, message, senderId) => {
+    const taskId = payload.value || null;
+    const position = taskId != null ? taskBoard.findTask(taskId) : null;
+    const duration = position ? position.task.duration : null;
+    senderMessenger.setState({ currentTask: taskId });
+    // Unity replies to the requester, as for the mapped messages.
+    unityBridge.trackRequest(message.id, senderId);
+    unityBridge.send('GameManager', 'StartTask', payload.value || '');
+    startTimer({
+      mode: duration ? TimerMode.COUNTDOWN : TimerMode.COUNT_UP,
+      duration: duration || null,
+      taskId: taskId
+    }, null);
+  });
+
 context.addCustomMessageListener(CHANNEL, onMessageReceived);
 document.getElementById('message').innerHTML ="testing";
 context.start();
 
-            var CopiedImageString="";
-var CopiedSoundString="";
 var lastEventData;
 var ImageCounter=0;
-var totalAudio=0;
 var imageData = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAABwCAYAAADWrHjSAAAAGXRFWHRTb2Z0d2FyZQBBZG9iZSBJbWFnZVJlYWR5ccllPAAACy1JREFUeNrsXcGK20gQ7VnvdZnkE/IJ2j/QZTF7Euwt7HkhEAj45lOYk28DAwOBPS97C/gURC7+g9Un7CckZs/GCxmVwE9+etWyPHEmVZeJHUndkvVev6qurr7a7/fpKdnPV1eDN/TPfn91zvO/NfshhX3X9uNTQ/7ceRwi+dTzgwHCggEuAfnF7OFvuXv4u2k/N+3nORnrEfnsOmn3tJggGCAY4LLU+r/Pnn35++nTp6spkG+fE2GC5EQ+XieXCZ4/f/7luBefP1+UdxEMEAxwYWq9RYhXrasxPwkmSCdeRzGBff/qQr2LYIBggK+LfEOemVLryhDZ9rnM7O/Y63i9C3W/j8UEwQDBAF/HTzcrAWlMrdfk+sxPt+OX7ffXr399+Mf9h8H+Xr95OK5oj1tBP9AraMh1VFwB77ezR44zBAMEAzwO8heGoDSsrpVaT8AIyCg1ILDcjes/IrxrD5igFtdnyEcvw45bPLJ3EAwQDHAewzEQ3/gaxjxDfNWO1eXdh6P+NmqB1c7Xrl2vYZpid3gcaoo5aY/dNyLftMW61RbqOSQRsQwGCLssBrCxymL5LwARDUFwTRBoiGFMkIR/nYjWSALBbGxOoAGanW/Mt/vYCgbqMQF8/w7mEqbSBMEAwQDTqn2L5TNEFoIRcMxmTIAIpWp/NtweQ2DudRXyN4SB5oLBuucFs4hTeQfBAN+5XY3NClazcmaGBLMeIkBdKxW9BWbAz6n8vaWSv462x5hAtcuuq/rF2l2SiCh7XsqbGssEwQDBAPtJkb8hY5l6wzdklowisrvwITLXEOu3uAL1vwkD4Hl4PWyX3Q/zJnKfB543FRMEAwQD7CdB/i+AJIzJKz95LILY2JgEok89jrWfy2DsfhN5jvb540SaIBgg4gDT2BLe9IVAhkXEbN4dEYJ+P3oJyYm4zu+2MVvkA9hx1n7JGIa0X5PnQb0DEn8wWxAGSrtpfrdggNAA4zRAcnoBuWO1QgybjVsK/33928ujiO0hy9T++78H4wm5/VBjvVdb0KzlFBog7JwawN4oxgTsjfRm/ODYWrXIvbY3n2iCpYjZb6uXR9tj+QCGRDsPVTv2n/UDGWgz0qtoVA7hSOQHA4TlMQDmu6v5a8wDUBk/K1DtpSFw3Y7FEBPHnD9EnCGYIYll2vRyFS3Gvz7UBJhhxLwJ6wfmASydGUPe542/U2iAsGm8gNyVLmar3fDxxgQq8ocIedse313H1DqM+UptJ8UAzDtZH7Zn3oWdd/Nm3H0p5C9nvv7WRLsFA4TlaQDvWj6mvhuhCTDjByN0bC3eDSBQzft7+8tUdk8TgHdgDFRBfxhCzViuINNSKjMpEY2gNEEwQDBAHvK98/IW48d8/t4aO8z6JfGFjjHQz3eOtYg8Kt7B20gz4R2I/rCYPTsOn1OBaxvhOVdwvSRqIiETBAMEAwwbmydHpCASWCUNxiQqLoDIYxEzN1MRu2aMIJiA9Uf5/WzdA81KBs2D7VawCrrZRRwgzMMAKuOn56fOhsfOTiXbF+T8SnQQI2C9yBsgrcbjoF83or23d8fzBXqrgJ39UcYYrEMyjvFwXs/bgPwKVcsoGCAYYNjQT3/Xrv17hfXuCCN0kTOSicNUPObAKURhHQI29r+tXg5e5wZi/maLtp+3KQ/hbE5EeT9sToPFF+x3+fO/z4PxldAAYQfWzQXQih7w5v3x0yEDeP1t1BCFeKNVzB5NnU9X+hB1vXnk/o3VAHYeMgDeNzJXaICwBwYoUsqrvEniBCoXr3HW0unFEQijbIlaz825m+p875o+xgg0/iJyE72/C4tPBAOEF+BDAqr/U5Gfi3gcs6+JWi5hFlHl87Oxmq4vsPbRW2D9I3GSJBih+9w+R2MCliPJfid1v8EAoQHSYCVPpfpz897NMCNIzS6ysVWeRxhJrg5+TxB+an/gPMwIUl6D97kzryA0QJhPAyiVOnbFCzuvN0aydfJiDmKDaw1BYzTigXRjPqpujLETdY+Rt1J4K/b/FTwXtW5CZVQxTRMaIMzHAEr145ucW+PHq85VJdDkXH1ctaq9sDWChKmu27G/0wwJvACh3mvRv955mVXRVmQ2FWf/7HdjWiAYIGyYAZStST19mkcPKhgRUxOkLzPz+FkGThJagB1HM5SId1OQ/rHZw4JprPa5lbC2MSET3B/WMci1YIBggMM3FN9INpav2jFK1tcT6+tVpczcPP7Exsq2H7gjSIe414f99fbT2z/GDCuRbaxyB+38ih2XhjVKMMD3zgC47l+tZMGIFZ0lIxGwJhNRak6gwixZQBzmyuE8O9M2ze64BvHmFdA4xQzuG/z83lhu1787nutXQ85mJVZamUU+QNgX6zKCbG9b5j+yeoALwhCI5FunSpd5/KRW79iYO1ruHAXtB2EElieAWgP3DtqQVdX4XLF+IM7lvIO9mYMBggEO6wOw3ECFYJbf3pA1b73sXUDOFrJ3af39JMZoQF7unAU7X7XbmyUUq5rx+aJGYnkKikFYLmB4AWGHcYCxpmLX7I3GCp6IeDbL1ovNs7jA/fAqX1YlzHs+Gs499GYtkdGg9lHBdkdTax5V5VNhwQDBAMMRo8K5jx2LXdeqQoZz5UsicYOUfOexSFjv+8zsZXf7hBEUkr1zK6xuYx2rg8NGMQCrEELfcDLbR/cUasf+27sPg8iTkUJQ1xXsHNJkrtZlmqW3UwjxVmh+wu64ZriB6uRyf0PynNnzUruvBwMEA/jGxAW8uegfq9o7OPbbm4xrEGWNn/XxuoAYT8C6BN51+xL5GAGE/pSEEeh9wSylV9VvyawfWwsYGiDstDjAZuROFSzPwF1JE1UvyS/oVe0SY6t330C1DyGqeWSiklQrp9m94rlN/TsFAwQDHBrmB6CqxDfTuz6AagYy5rGMokQ0g8qosXbYnjt4nyqjSVULY+3TeAgZ073rAfB3KSAOEJVCw8ZpAFnRA7JSmd+NGS/bu+MZLKwyxkbs0sVi+d3+BGJnUxZnWN8Pz3EkUTWtq5b2+vh9IrOpfQJK6BedmwgNEDapF8Dy5FEL1O0bvRSzbwvGBJnIn6v+wt5Dys/uqXjSjzlBqDHlZjbMBIh8lQ+wgv0IcOzH/IwmBQOEOcy9Y8hS7BVcOPe3q8V5bCxjES25LgHyDViErJeptPbV5vH2y3t/3l3Z8TzMBVwJ9R8MEJanAdAf/QhMUKTjCFSRuFrsLVSICB5T46yev9smRr5aRayYDLWI2kXca8EAwQB5hv78ElfPzobjAwwxSY3lYgcSb+VOGQnc5Z2v8gfUTh4qXoJxCNypNO3GIT8YIMzHAGzPYFPTtr/9iiF9dngcy1UrRIwdI4Y1qauXW8N3LAMyZvDuh6jWJagxHef9UVvEzqFh59EAvZ0sd0QLgDovydiPKp6p+kr0R9XlV4jKPU9l2mzE3IGKZDJvY0n2FlqFBgg7KwOwOgIN0QI4F6Bm4VQkjM1+efcyZu0lgUSmUZDBvHv2eJmDMWtv7Cfr/oMBws6jAZhXYG/uElRqV7X7zDeSXbvHaajKi5ERt1xbEC20IVoiF/nBAGHjGIAxQS+m79zvXvrbmKULcQS2fkGqcaYJSLsq3z7Xj2f3i/kEyisYi/xggLDTGIC9gcYI6cRVunNn+6zW0G3KU9+MCRoYkxdpnP/tvV/GGPVEiA8GCDswmRF0qnWMkMsgIi6wERkzTHN41waquILqh3fMzn0+U1swQDDA/iI7xpiA+f9qtq3ObH8+sh3W3rmRHAwQ9rQYwMsIzGtQiM8di+dCvX8riA8GCPs2GSDXuzhVTZ/7+sEAYRdh/wswAEUzF3/Fcfl2AAAAAElFTkSuQmCC';
 
 // You can also periodically reset the idle reason to keep the app active
@@ -256,271 +611,11 @@ function keepAlive() {
 }
 keepAlive();
 function onMessageReceived(customEvent) {
- // document.getElementById('cast-media-player').setAttribute("data-content", `${customEvent.data.message}`);
-     document.getElementById('cast-media-player').setAttribute("data-content", `audio.ogg`);
-   lastEventData = customEvent.data;
-     taskStarted=true;
-      if (customEvent.data.description == "tasks")
-    {
-        taskStarted=true;
-      /*  var taskObject = JSON.parse(customEvent.data.message);
-         for  (var  i=0;i<taskObject.tasks.length;i++)
-        {
-            tasks[i] = taskObject.tasks[i];
-        }*/
-       
-      return;
-    }
-      if (customEvent.data.num == -1)
-        {
-           
-                CopiedImageString += customEvent.data.message;
-
-             const dataURL = 'data:image/png;base64,' + CopiedImageString;
-            backgroundImageHTML.src = dataURL;
-            
-               /*  const newBackgroundTexture = game.textures.addImage('newBackground', 'data:image/png;base64,' + CopiedImageString);
-                  backgroundImage.setTexture('newBackground');
-            const desiredWidth = window.innerWidth;
-
-              // Calculate the new height while maintaining the aspect ratio
-              const aspectRatio = backgroundImage.width / backgroundImage.height;
-          const newHeight = desiredWidth / aspectRatio;
-
-          // Set the new width and height
-          backgroundImage.displayWidth = desiredWidth;
-          backgroundImage.displayHeight = newHeight;*/
-
-           /*  game.textures.once('addtexture-brain', () =>
-        {
-            game.add.image(400, 300, 'brain');
-        });
-
-        game.textures.once('onerror', () =>
-        {
-            console.log('error decoding base64');
-        });
-
-        game.textures.once('onload', () =>
-        {
-            console.log('base64 image loaded');
-        });
-     game.textures.addBase64('brain', ImageData);*/
-       // game.textures.addBase64('brain', CopiedImageString);
-              return;
-          
-        }
-        else if (customEvent.data.num == 0)
-        {
-            CopiedImageString = "";
-            CopiedImageString += customEvent.data.message;
-            return;
-        
-        }
-        else 
-        {
-            CopiedImageString += customEvent.data.message;
- 
-          return;
-            
-        }
-    return;
-       if ( document.getElementById('message').innerHTML  == "waiting")
-       {
-           return;
-       }
-     document.getElementById('message').innerHTML =  CopiedImageString.length ;//.message;
- // document.getElementById('message').innerHTML = customEvent.data;//.message;
- // bitmapFontText.text = customEvent.data.message;
-     if (customEvent.data.description == "Profile")
-    {
-          unityGame.SendMessage("ImageHandler", "SetProfileData", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedImageString="";
-            return;
-    }
-      if (customEvent.data.description == "ImageIndex")
-    {
-          unityGame.SendMessage("ImageHandler", "SetPageIndex", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedImageString="";
-            return;
-    }
-     if (customEvent.data.description == "SoundIndex")
-    {
-          unityGame.SendMessage("ImageHandler", "SetSoundIndex", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-    
-  
-      if (customEvent.data.description == "SoundURL")
-    {
-          unityGame.SendMessage("ImageHandler", "SetAudioURL", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-     if (customEvent.data.description == "TaskSoundIndex")
-    {
-          unityGame.SendMessage("ImageHandler", "SetTaskSoundIndex", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-     if (customEvent.data.description == "TaskSoundURL")
-    {
-          unityGame.SendMessage("ImageHandler", "SetTaskAudioURL", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-        if (customEvent.data.description == "TaskStringIndex")
-    {
-          unityGame.SendMessage("ImageHandler", "SetTaskStringIndex", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-   
-     if (customEvent.data.description == "Task")
-    {
-         
-          unityGame.SendMessage("ImageHandler", "SetTaskString", customEvent.data.message);
-         document.getElementById('response').innerHTML = "Setpage" + customEvent.data.message;
-          CopiedSoundString="";
-            return;
-    }
-    if (customEvent.data.description == "startTask")
-    {
-          unityGame.SendMessage("GameManager", "StartTask", customEvent.data.message);
-            return;
-    }
-      if (customEvent.data.description == "startIntro")
-    {
-          unityGame.SendMessage("GameManager", "StartInto", customEvent.data.message);
-            return;
-    }
-     if (customEvent.data.description == "SetName")
-    {
-          unityGame.SendMessage("GameManager", "SetName", customEvent.data.message);
-        return;
-    }
-    if (customEvent.data.description == "audio")
-    {
-        if (customEvent.data.num == -1)
-        {
-             if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleSoundDataPart", CopiedSoundString);
-                }
-              totalAudio+=CopiedSoundString.length;
-              document.getElementById('message').innerHTML = "last " + CopiedSoundString.length + " "  + totalAudio ;
-                CopiedSoundString="";
-        
-           
-            
-            if ( document.getElementById('message').innerHTML  != "waiting")
-            {
-                unityGame.SendMessage("ImageHandler", "HandleSoundData", CopiedSoundString);
-            }
-          
-        }
-        else if (customEvent.data.num == 0)
-        {
-            CopiedSoundString = "";
-            CopiedSoundString += customEvent.data.message;
-              if (CopiedSoundString.length < 1000 )
-            {
-                 if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleSoundDataPart", CopiedSoundString);
-                      CopiedSoundString="";
-                }
-              
-                if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleSoundData", CopiedSoundString);
-                     CopiedSoundString="";
-                }
-               
-            }
-        }
-        else 
-        {
-            CopiedSoundString += customEvent.data.message;
- 
-            if (CopiedSoundString.length > 5000 )
-            {
-                if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    totalAudio+=CopiedSoundString.length;
-                     document.getElementById('message').innerHTML = "" + CopiedSoundString.length + " "  + totalAudio ;
-                    unityGame.SendMessage("ImageHandler", "HandleSoundDataPart", CopiedSoundString);
-                     CopiedSoundString="";
-                }
-               
-            }
-            
-        }
-        return;
-    }
-    if (customEvent.data.num == -1)
-        {
-             if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleImageDataPart", CopiedImageString);
-                }
-                CopiedImageString="";
-        
-             document.getElementById('message').innerHTML = "last "  ;
-            //unityGame.SendMessage("ImageHandler", "HandleWholeImage", CopiedImageString);
-            if ( document.getElementById('message').innerHTML  != "waiting")
-            {
-                unityGame.SendMessage("ImageHandler", "HandleImageData", CopiedImageString);
-            }
-          
-        }
-        else if (customEvent.data.num == 0)
-        {
-            CopiedImageString = "";
-            CopiedImageString += customEvent.data.message;
-           if (CopiedImageString.length < 1000 )
-            {
-                 if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleImageDataPart", CopiedImageString);
-                }
-                CopiedImageString="";
-                if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleImageData", CopiedImageString);
-                }
-                CopiedImageString="";
-            }
-        }
-        else 
-        {
-            CopiedImageString += customEvent.data.message;
- 
-            if (CopiedImageString.length > 5000 )
-            {
-                if ( document.getElementById('message').innerHTML  != "waiting")
-                {
-                    unityGame.SendMessage("ImageHandler", "HandleImageDataPart", CopiedImageString);
-                }
-                CopiedImageString="";
-            }
-            
-        }
-    bitmapFontText.text = JSON.stringify(customEvent.data);
-    
-  //unityGame.SendMessage("ImageHandler", "HandleWholeImage", customEvent.data);
-  castDebugLogger.info(LOG_RECEIVER_TAG, `Message received. ${customEvent.data.message}`);
-}
-function JavaScriptFunction(response) {
-     document.getElementById('response').innerHTML =  "ready ready" ;
-    
+  document.getElementById('cast-media-player').setAttribute("data-content",
+    `audio.ogg`);
+  lastEventData = customEvent.data;
+  castDebugLogger.info(LOG_RECEIVER_TAG,
+    `Message received. ${JSON.stringify(customEvent.data).slice(0, 200)}`);
+  channelProtocol.handle(customEvent);
 }
 
@@ -0,0 +1,127 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { PROTOCOL_VERSION, MessageType } from './channel_protocol.js';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_PROTOCOL_TAG = 'Protocol';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_PROTOCOL_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Sends messages from the receiver to the senders on a custom channel, in
+ * the envelope of the channel protocol, either to one sender or broadcast to
+ * every connected one.
+ *
+ * The messenger also holds the state of the receiver the senders follow,
+ * e.g. whether Unity is ready, the current task and the timer. Changes are
+ * broadcast in STATE messages holding the whole state and the keys changed,
+ * and senders get the state when they connect:
+ *
+ *   {"version": 1, "type": "STATE", "replyTo": null,
+ *    "payload": {"state": {"unityReady": true, "currentTask": "2"},
+ *                "changed": ["currentTask"]}}
+ */
+class SenderMessenger {
+  /**
+   * @param {cast.framework.CastReceiverContext} context
+   * @param {string} namespace The custom channel.
+   */
+  constructor(context, namespace) {
+    this.context = context;
+    this.namespace = namespace;
+    this.state = {};
+
+    context.addEventListener(cast.framework.system.EventType.SENDER_CONNECTED,
+      (event) => {
+        this.send(event.senderId, MessageType.STATE,
+          { state: this.state, changed: [] });
+      });
+  }
+
+  /**
+   * Sends a message to a sender.
+   * @param {string|undefined} senderId Undefined to broadcast the message.
+   * @param {string} type
+   * @param {!Object} payload
+   * @param {?string=} replyTo ID of the message replied to, if any.
+   * @return {boolean} Whether the message was handed to the framework.
+   */
+  send(senderId, type, payload, replyTo = null) {
+    try {
+      this.context.sendCustomMessage(this.namespace, senderId, {
+        version: PROTOCOL_VERSION,
+        type: type,
+        replyTo: replyTo,
+        payload: payload
+      });
+      return true;
+    } catch (e) {
+      // Senders may have disconnected since their message arrived.
+      castDebugLogger.warn(LOG_PROTOCOL_TAG,
+        `Unable to send ${type} to ${senderId || 'the senders'}: `
+        + e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Sends a message to every connected sender.
+   * @param {string} type
+   * @param {!Object} payload
+   * @return {boolean} Whether the message was handed to the framework.
+   */
+  broadcast(type, payload) {
+    return this.send(undefined, type, payload);
+  }
+
+  /**
+   * Updates the state followed by the senders, broadcasting it when it
+   * changed.
+   * @param {!Object} changes The keys to update and their new values.
+   */
+  setState(changes) {
+    const changed = Object.keys(changes).filter((key) =>
+      JSON.stringify(this.state[key]) !== JSON.stringify(changes[key]));
+    if (!changed.length) {
+      return;
+    }
+    this.state = Object.assign({}, this.state, changes);
+    this.broadcast(MessageType.STATE, { state: this.state, changed: changed });
+  }
+
+  /**
+   * @return {!Object} The state followed by the senders.
+   */
+  getState() {
+    return this.state;
+  }
+}
+
+export {
+  SenderMessenger
+};
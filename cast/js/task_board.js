@@ -0,0 +1,192 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Enumeration of the changes TaskBoard listeners are told about.
+ */
+const TaskBoardChange = {
+  // The whole schedule was replaced.
+  SCHEDULE: 'SCHEDULE',
+  // A single task changed.
+  TASK: 'TASK'
+};
+
+/**
+ * Weekly schedule of tasks pushed by the sender, as JSON of the form:
+ *
+ *   {
+ *     "days": [
+ *       {"name": "Monday", "tasks": [
+ *         {"id": "mon-1", "title": "Reading", "icon": "https://.../book.png",
+ *          "duration": 900, "done": false}
+ *       ]},
+ *       ...
+ *     ]
+ *   }
+ *
+ * Task IDs are unique across the week, `icon` is an image URL and `duration`
+ * is in seconds; both are optional. Listeners are told when the schedule is
+ * replaced and when a single task changes, so views can update in place.
+ */
+class TaskBoard {
+  constructor() {
+    this.days = [];
+    this.listeners = [];
+  }
+
+  /**
+   * Builds a schedule from the list of tasks of legacy senders, the task of
+   * each day in the order of the days.
+   * @param {!Array<string>} tasks
+   * @param {!Array<string>} dayNames
+   * @return {!Object} The schedule.
+   */
+  static fromTaskList(tasks, dayNames) {
+    return {
+      days: dayNames.map((name, i) => ({
+        name: name,
+        tasks: tasks[i] ? [{ id: `${i}`, title: String(tasks[i]) }] : []
+      }))
+    };
+  }
+
+  /**
+   * Checks and normalizes a task.
+   * @param {!Object} task
+   * @return {!Object}
+   */
+  static parseTask(task) {
+    if (!task || typeof task.id != 'string' || typeof task.title != 'string') {
+      throw new Error('Tasks need a string id and title.');
+    }
+    if (task.duration != null && !(task.duration >= 0)) {
+      throw new Error(`Task ${task.id} has an invalid duration.`);
+    }
+    return {
+      id: task.id,
+      title: task.title,
+      icon: task.icon || null,
+      duration: task.duration != null ? Number(task.duration) : null,
+      done: !!task.done
+    };
+  }
+
+  /**
+   * Adds a listener called with the TaskBoardChange and, for TASK changes,
+   * the position of the task as `{dayIndex, taskIndex, task}`.
+   * @param {function(string, ?Object)} listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Replaces the schedule.
+   * @param {!Object} schedule
+   * @throws {Error} When the schedule is malformed, in which case the
+   *     previous one is kept.
+   */
+  setSchedule(schedule) {
+    if (!schedule || !Array.isArray(schedule.days)) {
+      throw new Error('The schedule needs a list of days.');
+    }
+
+    const ids = new Set();
+    const days = schedule.days.map((day) => {
+      if (!day || typeof day.name != 'string' || !Array.isArray(day.tasks)) {
+        throw new Error('Days need a name and a list of tasks.');
+      }
+      return {
+        name: day.name,
+        tasks: day.tasks.map((task) => {
+          const parsed = TaskBoard.parseTask(task);
+          if (ids.has(parsed.id)) {
+            throw new Error(`Task ${parsed.id} is scheduled twice.`);
+          }
+          ids.add(parsed.id);
+          return parsed;
+        })
+      };
+    });
+
+    this.days = days;
+    this.notify(TaskBoardChange.SCHEDULE, null);
+  }
+
+  /**
+   * Finds a task.
+   * @param {string} taskId
+   * @return {?{dayIndex: number, taskIndex: number, task: !Object}}
+   */
+  findTask(taskId) {
+    for (let dayIndex = 0; dayIndex < this.days.length; dayIndex++) {
+      const taskIndex = this.days[dayIndex].tasks
+        .findIndex((task) => task.id == taskId);
+      if (taskIndex != -1) {
+        return {
+          dayIndex: dayIndex,
+          taskIndex: taskIndex,
+          task: this.days[dayIndex].tasks[taskIndex]
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Changes some fields of a task.
+   * @param {string} taskId
+   * @param {!Object} changes Any of `title`, `icon`, `duration` and `done`.
+   * @return {!Object} The task changed.
+   * @throws {Error} When there is no such task or the changes are invalid.
+   */
+  updateTask(taskId, changes) {
+    const position = this.findTask(taskId);
+    if (!position) {
+      throw new Error(`No task ${taskId} on the board.`);
+    }
+
+    const task = TaskBoard.parseTask(Object.assign({}, position.task, changes,
+      { id: taskId }));
+    this.days[position.dayIndex].tasks[position.taskIndex] = task;
+    position.task = task;
+    this.notify(TaskBoardChange.TASK, position);
+    return task;
+  }
+
+  /**
+   * @return {!Object} The schedule, as pushed by the sender.
+   */
+  toJSON() {
+    return { days: this.days };
+  }
+
+  /**
+   * Calls the listeners with a change.
+   * @param {string} change
+   * @param {?Object} position
+   */
+  notify(change, position) {
+    this.listeners.forEach((listener) => listener(change, position));
+  }
+}
+
+export {
+  TaskBoardChange,
+  TaskBoard
+};
@@ -0,0 +1,216 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { TaskBoardChange } from './task_board.js';
+
+/**
+ * Draws a TaskBoard in a Phaser scene with a bitmap font: a row per day, its
+ * name followed by its tasks, each with its icon and duration. Done tasks are
+ * tinted. The board is laid out in a share of the scene and laid out again
+ * when the scene is resized; a task changing only redraws that task.
+ */
+class TaskBoardView {
+  static DEFAULT_OPTIONS = {
+    // Key of the bitmap font, loaded by the scene.
+    font: 'desyrel',
+    // Area of the scene covered by the board, as fractions of its size.
+    left: 0.05,
+    top: 0.35,
+    width: 0.9,
+    height: 0.6,
+    // Largest font size, in pixels, however few the days.
+    maxFontSize: 64,
+    // Tint of the done tasks.
+    doneTint: 0x7CFC00
+  };
+
+  /**
+   * @param {!Phaser.Scene} scene
+   * @param {!TaskBoard} board
+   * @param {Object=} options Overrides of DEFAULT_OPTIONS.
+   */
+  constructor(scene, board, options) {
+    this.scene = scene;
+    this.board = board;
+    this.options = Object.assign({}, TaskBoardView.DEFAULT_OPTIONS, options);
+    this.container = scene.add.container(0, 0);
+    this.rows = [];
+
+    board.addListener((change, position) => {
+      if (change == TaskBoardChange.TASK) {
+        const cell = this.rows[position.dayIndex].cells[position.taskIndex];
+        this.updateCell(cell, position.task);
+      } else {
+        this.render();
+      }
+    });
+    scene.scale.on('resize', () => this.layout());
+    this.render();
+  }
+
+  /**
+   * Formats the duration of a task.
+   * @param {number} seconds
+   * @return {string}
+   */
+  static formatDuration(seconds) {
+    return seconds < 60 ? `${Math.round(seconds)} s`
+      : `${Math.round(seconds / 60)} min`;
+  }
+
+  /**
+   * Draws the whole board again.
+   */
+  render() {
+    this.rows.forEach((row) => {
+      row.cells.forEach((cell) => {
+        cell.destroyed = true;
+      });
+    });
+    this.container.removeAll(true);
+
+    this.rows = this.board.days.map((day) => {
+      const label = this.scene.add.bitmapText(0, 0, this.options.font,
+        day.name);
+      this.container.add(label);
+      return {
+        label: label,
+        cells: day.tasks.map((task) => {
+          const cell = {
+            text: this.scene.add.bitmapText(0, 0, this.options.font, ''),
+            icon: null,
+            iconUrl: null,
+            bounds: null,
+            destroyed: false
+          };
+          this.container.add(cell.text);
+          this.updateCell(cell, task);
+          return cell;
+        })
+      };
+    });
+    this.layout();
+  }
+
+  /**
+   * Sizes and positions the board in its share of the scene.
+   */
+  layout() {
+    const { width, height } = this.scene.scale;
+    const left = width * this.options.left;
+    const top = height * this.options.top;
+    const boardWidth = width * this.options.width;
+    const rowHeight = height * this.options.height
+      / Math.max(1, this.rows.length);
+    const fontSize = Math.min(this.options.maxFontSize,
+      Math.floor(rowHeight * 0.6));
+    const labelWidth = boardWidth * 0.25;
+    const taskCount = Math.max(1, ...this.rows.map((row) =>
+      row.cells.length));
+    const cellWidth = (boardWidth - labelWidth) / taskCount;
+
+    this.rows.forEach((row, dayIndex) => {
+      const y = top + dayIndex * rowHeight;
+      row.label.setPosition(left, y).setFontSize(fontSize)
+        .setMaxWidth(labelWidth);
+      row.cells.forEach((cell, taskIndex) => {
+        cell.bounds = {
+          x: left + labelWidth + taskIndex * cellWidth,
+          y: y,
+          width: cellWidth,
+          fontSize: fontSize
+        };
+        this.layoutCell(cell);
+      });
+    });
+  }
+
+  /**
+   * Positions the icon and text of a task in its cell.
+   * @param {!Object} cell
+   */
+  layoutCell(cell) {
+    if (!cell.bounds) {
+      return;
+    }
+    const { x, y, width, fontSize } = cell.bounds;
+    let textX = x;
+    if (cell.icon) {
+      cell.icon.setOrigin(0, 0).setPosition(x, y)
+        .setDisplaySize(fontSize, fontSize);
+      textX += fontSize * 1.2;
+    }
+    cell.text.setPosition(textX, y).setFontSize(fontSize)
+      .setMaxWidth(Math.max(fontSize, width - (textX - x) - fontSize / 2));
+  }
+
+  /**
+   * Draws a task in its cell.
+   * @param {!Object} cell
+   * @param {!Object} task
+   */
+  updateCell(cell, task) {
+    cell.text.setText(task.duration != null
+      ? `${task.title} ${TaskBoardView.formatDuration(task.duration)}`
+      : task.title);
+    if (task.done) {
+      cell.text.setTint(this.options.doneTint).setAlpha(0.6);
+    } else {
+      cell.text.clearTint().setAlpha(1);
+    }
+
+    if (task.icon != cell.iconUrl) {
+      cell.iconUrl = task.icon;
+      if (cell.icon) {
+        cell.icon.destroy();
+        cell.icon = null;
+      }
+      if (task.icon) {
+        this.loadIcon(task.icon, (key) => {
+          if (cell.destroyed || cell.iconUrl != task.icon) {
+            return;
+          }
+          cell.icon = this.scene.add.image(0, 0, key);
+          this.container.add(cell.icon);
+          this.layoutCell(cell);
+        });
+      }
+    }
+    this.layoutCell(cell);
+  }
+
+  /**
+   * Loads the image of an icon, once per URL.
+   * @param {string} url
+   * @param {function(string)} callback Called with the texture key.
+   */
+  loadIcon(url, callback) {
+    const key = `task-icon:${url}`;
+    if (this.scene.textures.exists(key)) {
+      callback(key);
+      return;
+    }
+    this.scene.load.once(`filecomplete-image-${key}`, () => callback(key));
+    this.scene.load.image(key, url);
+    this.scene.load.start();
+  }
+}
+
+export {
+  TaskBoardView
+};
@@ -0,0 +1,271 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Enumeration of the timer modes.
+ */
+const TimerMode = {
+  COUNT_UP: 'COUNT_UP',
+  COUNTDOWN: 'COUNTDOWN'
+};
+
+/**
+ * Enumeration of the events TaskTimer listeners are told about.
+ */
+const TimerEvent = {
+  STARTED: 'STARTED',
+  PAUSED: 'PAUSED',
+  RESUMED: 'RESUMED',
+  RESET: 'RESET',
+  // The time shown changed by a second.
+  TICK: 'TICK',
+  // A countdown reached zero.
+  ENDED: 'ENDED'
+};
+
+/**
+ * Timer of the current task, counting up, or down from the time budget of
+ * the task. A count-up timer may have a budget too, which it shows progress
+ * against without ending. The timer keeps wall-clock time, so it stays
+ * accurate however late its ticks run.
+ */
+class TaskTimer {
+  /*
+   * Interval, in milliseconds, the timer checks the time at while running.
+   */
+  static TICK_INTERVAL_MS = 250;
+
+  constructor() {
+    this.mode = TimerMode.COUNT_UP;
+    this.durationSec = null;
+    this.taskId = null;
+    this.elapsedMs = 0;
+    this.startTime = null;
+    this.started = false;
+    this.ended = false;
+    this.interval = null;
+    this.lastShownSec = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Formats a number of seconds as mm:ss, or h:mm:ss from an hour on.
+   * @param {number} seconds
+   * @return {string}
+   */
+  static format(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = String(Math.floor(total / 60) % 60).padStart(2, '0');
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Adds a listener called with every TimerEvent and the timer.
+   * @param {function(string, !TaskTimer)} listener
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Starts the timer from zero.
+   * @param {{mode: (string|undefined), duration: (?number|undefined),
+   *     taskId: (?string|undefined)}=} options The TimerMode, COUNT_UP by
+   *     default, the time budget in seconds, required by countdowns, and the
+   *     task timed.
+   * @throws {Error} When a countdown has no duration.
+   */
+  start(options = {}) {
+    const mode = options.mode || TimerMode.COUNT_UP;
+    if (!Object.values(TimerMode).includes(mode)) {
+      throw new Error(`Unknown timer mode: ${mode}`);
+    }
+    const duration = options.duration != null ? options.duration : null;
+    if (duration != null && !(duration > 0)) {
+      throw new Error('Timer durations should be positive.');
+    }
+    if (mode == TimerMode.COUNTDOWN && duration == null) {
+      throw new Error('Countdowns need a duration.');
+    }
+
+    this.stopTicking();
+    this.mode = mode;
+    this.durationSec = duration;
+    this.taskId = options.taskId || null;
+    this.elapsedMs = 0;
+    this.started = true;
+    this.ended = false;
+    this.lastShownSec = null;
+    this.startTicking();
+    this.notify(TimerEvent.STARTED);
+    this.tick();
+  }
+
+  /**
+   * Pauses the timer, keeping the time elapsed.
+   */
+  pause() {
+    if (!this.isRunning()) {
+      return;
+    }
+    this.stopTicking();
+    this.notify(TimerEvent.PAUSED);
+  }
+
+  /**
+   * Resumes a paused timer.
+   */
+  resume() {
+    if (!this.started || this.ended || this.isRunning()) {
+      return;
+    }
+    this.startTicking();
+    this.notify(TimerEvent.RESUMED);
+  }
+
+  /**
+   * Stops the timer and sets it back to zero until started again.
+   */
+  reset() {
+    this.stopTicking();
+    this.elapsedMs = 0;
+    this.started = false;
+    this.ended = false;
+    this.lastShownSec = null;
+    this.notify(TimerEvent.RESET);
+  }
+
+  /**
+   * Checks the time, telling the listeners when the time shown changes and
+   * when a countdown ends.
+   */
+  tick() {
+    if (this.mode == TimerMode.COUNTDOWN && !this.ended
+      && this.getElapsedMs() >= this.durationSec * 1000) {
+      this.stopTicking();
+      this.elapsedMs = this.durationSec * 1000;
+      this.ended = true;
+      this.lastShownSec = 0;
+      this.notify(TimerEvent.TICK);
+      this.notify(TimerEvent.ENDED);
+      return;
+    }
+
+    const shownSec = Math.floor(this.getDisplaySec());
+    if (shownSec !== this.lastShownSec) {
+      this.lastShownSec = shownSec;
+      this.notify(TimerEvent.TICK);
+    }
+  }
+
+  /**
+   * @return {number} Milliseconds counted so far.
+   */
+  getElapsedMs() {
+    return this.elapsedMs
+      + (this.startTime != null ? Date.now() - this.startTime : 0);
+  }
+
+  /**
+   * @return {number} The seconds to show: elapsed when counting up and
+   *     remaining when counting down.
+   */
+  getDisplaySec() {
+    const elapsedSec = this.getElapsedMs() / 1000;
+    if (this.mode == TimerMode.COUNTDOWN) {
+      return Math.ceil(Math.max(0, this.durationSec - elapsedSec));
+    }
+    return elapsedSec;
+  }
+
+  /**
+   * @return {?number} The share of the budget used, from 0 to 1, or null
+   *     without a budget.
+   */
+  getProgress() {
+    if (this.durationSec == null) {
+      return null;
+    }
+    return Math.min(1, this.getElapsedMs() / 1000 / this.durationSec);
+  }
+
+  /**
+   * @return {boolean} Whether the timer is counting.
+   */
+  isRunning() {
+    return this.startTime != null;
+  }
+
+  /**
+   * @return {boolean} Whether the timer was started since the last reset.
+   */
+  isStarted() {
+    return this.started;
+  }
+
+  /**
+   * @return {!Object} The state of the timer reported to the senders.
+   */
+  getState() {
+    return {
+      mode: this.mode,
+      taskId: this.taskId,
+      duration: this.durationSec,
+      elapsed: Math.floor(this.getElapsedMs() / 1000),
+      running: this.isRunning(),
+      ended: this.ended
+    };
+  }
+
+  /**
+   * Starts counting.
+   */
+  startTicking() {
+    this.startTime = Date.now();
+    this.interval = window.setInterval(() => this.tick(),
+      TaskTimer.TICK_INTERVAL_MS);
+  }
+
+  /**
+   * Stops counting.
+   */
+  stopTicking() {
+    if (this.startTime != null) {
+      this.elapsedMs = this.getElapsedMs();
+      this.startTime = null;
+    }
+    window.clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Calls the listeners with an event.
+   * @param {string} event
+   */
+  notify(event) {
+    this.listeners.forEach((listener) => listener(event, this));
+  }
+}
+
+export {
+  TimerMode,
+  TimerEvent,
+  TaskTimer
+};
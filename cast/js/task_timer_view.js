@@ -0,0 +1,96 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { TaskTimer } from './task_timer.js';
+
+/**
+ * Draws a TaskTimer in a Phaser scene: the time in a bitmap font, circled by
+ * a ring filling up with the share of the time budget used, when the timer
+ * has one. The view is positioned relative to the size of the scene and
+ * follows its resizes.
+ */
+class TaskTimerView {
+  static DEFAULT_OPTIONS = {
+    // Key of the bitmap font, loaded by the scene.
+    font: 'desyrel',
+    // Center of the timer, as fractions of the size of the scene.
+    x: 0.5,
+    y: 0.17,
+    // Radius of the ring, as a fraction of the height of the scene.
+    radius: 0.12,
+    // Colors of the ring and of its track.
+    ringColor: 0x7CFC00,
+    trackColor: 0x5B5452,
+    endedColor: 0xFF4040
+  };
+
+  /**
+   * @param {!Phaser.Scene} scene
+   * @param {!TaskTimer} timer
+   * @param {Object=} options Overrides of DEFAULT_OPTIONS.
+   */
+  constructor(scene, timer, options) {
+    this.scene = scene;
+    this.timer = timer;
+    this.options = Object.assign({}, TaskTimerView.DEFAULT_OPTIONS, options);
+    this.ring = scene.add.graphics();
+    this.text = scene.add.bitmapText(0, 0, this.options.font, '')
+      .setOrigin(0.5);
+
+    timer.addListener(() => this.render());
+    scene.scale.on('resize', () => this.render());
+    this.render();
+  }
+
+  /**
+   * Draws the timer.
+   */
+  render() {
+    const { width, height } = this.scene.scale;
+    const x = width * this.options.x;
+    const y = height * this.options.y;
+    const radius = height * this.options.radius;
+    const lineWidth = Math.max(2, radius / 8);
+
+    this.text.setPosition(x, y)
+      .setFontSize(Math.floor(radius * 0.6))
+      .setText(this.timer.isStarted()
+        ? TaskTimer.format(this.timer.getDisplaySec()) : '00:00');
+
+    this.ring.clear();
+    const progress = this.timer.getProgress();
+    if (progress == null) {
+      return;
+    }
+    this.ring.lineStyle(lineWidth, this.options.trackColor, 0.5);
+    this.ring.strokeCircle(x, y, radius);
+    if (progress > 0) {
+      const start = -Math.PI / 2;
+      this.ring.lineStyle(lineWidth, this.timer.getState().ended
+        ? this.options.endedColor : this.options.ringColor, 1);
+      this.ring.beginPath();
+      this.ring.arc(x, y, radius, start, start + progress * 2 * Math.PI,
+        false);
+      this.ring.strokePath();
+    }
+  }
+}
+
+export {
+  TaskTimerView
+};
@@ -0,0 +1,241 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { MessageType } from './channel_protocol.js';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_UNITY_TAG = 'Unity';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_UNITY_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * GameObject and method of the Unity game receiving the `value` of each
+ * message type.
+ */
+const UNITY_MESSAGE_MAP = {
+  [MessageType.PROFILE]: { gameObject: 'ImageHandler',
+    method: 'SetProfileData' },
+  [MessageType.TASK_STRING_INDEX]: { gameObject: 'ImageHandler',
+    method: 'SetTaskStringIndex' },
+  [MessageType.TASK]: { gameObject: 'ImageHandler', method: 'SetTaskString' },
+  [MessageType.START_INTRO]: { gameObject: 'GameManager',
+    method: 'StartInto' },
+  [MessageType.SET_NAME]: { gameObject: 'GameManager', method: 'SetName' }
+};
+
+/**
+ * Bridge between the receiver and the Unity WebGL game of the page.
+ *
+ * Calls to the game are buffered until it is loaded and signals it is ready,
+ * by calling `window.unityBridge.onUnityReady()`, or the legacy
+ * `JavaScriptFunction()`. Games that never signal are deemed ready
+ * READY_TIMEOUT_MS after they are loaded. The game sends messages to the
+ * senders with `window.unityBridge.onUnityMessage(json)`, where json is of
+ * the form:
+ *
+ *   {"type": "SCORE", "replyTo": "42", "payload": {"score": 3}}
+ *
+ * A message with `replyTo` goes to the sender of the message of that ID, any
+ * other to every sender. `type` defaults to UNITY_REPLY.
+ */
+class UnityBridge {
+  /*
+   * Calls buffered before the oldest are dropped.
+   */
+  static MAX_PENDING_CALLS = 500;
+
+  /*
+   * IDs of forwarded messages remembered to route the replies of the game.
+   */
+  static MAX_TRACKED_REQUESTS = 100;
+
+  /*
+   * Delay, in milliseconds, after the game is loaded before it is deemed
+   * ready without signaling it.
+   */
+  static READY_TIMEOUT_MS = 3000;
+
+  /**
+   * @param {!ChannelProtocol} protocol
+   */
+  constructor(protocol) {
+    this.protocol = protocol;
+    this.instance = null;
+    this.ready = false;
+    this.pending = [];
+    this.requests = new Map();
+
+    // Pages hosting a game declare the global the game is assigned to.
+    if (window.unityGame) {
+      this.attach(window.unityGame);
+    }
+  }
+
+  /**
+   * Makes the bridge reachable from the page and the game.
+   */
+  expose() {
+    window.unityBridge = this;
+    window.JavaScriptFunction = () => this.onUnityReady();
+  }
+
+  /**
+   * @return {boolean} Whether the page hosts a Unity game, loaded or not.
+   */
+  hostsUnity() {
+    return 'unityGame' in window;
+  }
+
+  /**
+   * Sets the instance created by createUnityInstance().
+   * @param {!Object} instance
+   */
+  attach(instance) {
+    this.instance = instance;
+    this.flush();
+    if (!this.ready) {
+      // The page replaces window.setTimeout, keeping the original aside.
+      (window._setTimeout || window.setTimeout)(() => {
+        if (!this.ready) {
+          castDebugLogger.warn(LOG_UNITY_TAG,
+            'Unity did not signal it is ready, calling it anyway');
+          this.onUnityReady();
+        }
+      }, UnityBridge.READY_TIMEOUT_MS);
+    }
+  }
+
+  /**
+   * Marks the game as ready to receive calls and delivers the buffered ones.
+   */
+  onUnityReady() {
+    if (!this.ready) {
+      castDebugLogger.info(LOG_UNITY_TAG, 'Unity is ready');
+    }
+    this.ready = true;
+    this.protocol.messenger.setState({ unityReady: true });
+    this.flush();
+  }
+
+  /**
+   * Registers protocol handlers forwarding the `value` of messages to the
+   * game.
+   * @param {!Object<string, {gameObject: string, method: string}>} map
+   *     GameObject and method of each message type, as in UNITY_MESSAGE_MAP.
+   */
+  mapMessages(map) {
+    Object.entries(map).forEach(([type, target]) => {
+      this.protocol.register(type, (payload, message, senderId) => {
+        this.trackRequest(message.id, senderId);
+        this.send(target.gameObject, target.method, payload.value || '');
+      });
+    });
+  }
+
+  /**
+   * Calls a method of a GameObject of the game, once it is ready.
+   * @param {string} gameObject
+   * @param {string} method
+   * @param {string|number=} value
+   * @return {boolean} Whether the page hosts a Unity game to call.
+   */
+  send(gameObject, method, value) {
+    if (!this.hostsUnity()) {
+      return false;
+    }
+
+    this.pending.push([gameObject, method, value]);
+    const overflow = this.pending.length - UnityBridge.MAX_PENDING_CALLS;
+    if (overflow > 0) {
+      castDebugLogger.warn(LOG_UNITY_TAG,
+        `Dropping ${overflow} calls while waiting for Unity`);
+      this.pending.splice(0, overflow);
+    }
+    this.flush();
+    return true;
+  }
+
+  /**
+   * Delivers the buffered calls when the game is ready.
+   */
+  flush() {
+    if (!this.ready || !this.instance) {
+      return;
+    }
+
+    const calls = this.pending;
+    this.pending = [];
+    calls.forEach(([gameObject, method, value]) => {
+      try {
+        this.instance.SendMessage(gameObject, method, value);
+      } catch (e) {
+        castDebugLogger.error(LOG_UNITY_TAG,
+          `${gameObject}.${method} failed: ${e.message}`);
+      }
+    });
+  }
+
+  /**
+   * Remembers the sender of a forwarded message.
+   * @param {?string|undefined} id
+   * @param {string} senderId
+   */
+  trackRequest(id, senderId) {
+    if (id == null) {
+      return;
+    }
+    this.requests.set(String(id), senderId);
+    if (this.requests.size > UnityBridge.MAX_TRACKED_REQUESTS) {
+      this.requests.delete(this.requests.keys().next().value);
+    }
+  }
+
+  /**
+   * Carries a message of the game to the senders.
+   * @param {string} json
+   */
+  onUnityMessage(json) {
+    let message = null;
+    try {
+      message = JSON.parse(json);
+    } catch (e) {
+      castDebugLogger.error(LOG_UNITY_TAG, `Invalid message: ${json}`);
+      return;
+    }
+
+    const replyTo = message.replyTo != null ? String(message.replyTo) : null;
+    // Without a known sender the message is broadcast.
+    const senderId = replyTo != null ? this.requests.get(replyTo) : undefined;
+    this.protocol.messenger.send(senderId,
+      message.type || MessageType.UNITY_REPLY, message.payload || {}, replyTo);
+  }
+}
+
+export {
+  UNITY_MESSAGE_MAP,
+  UnityBridge
+};
@@ -0,0 +1,381 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { MediaError, MediaErrorType, fetchWithTimeout }
+  from './media_errors.js';
+
+/**
+ * @fileoverview Turns VAST and VMAP ad tags into CAF breakClips and breaks.
+ * Tracking URLs of each clip are kept in the clip's customData.tracking,
+ * keyed by VAST event name (impression, start, firstQuartile, midpoint,
+ * thirdQuartile, complete, skip, pause, resume, clickTracking, error), where
+ * AdsTracker picks them up during playback.
+ */
+
+/*
+ * Time to wait for an ad server response.
+ */
+const AD_TAG_TIMEOUT_MS = 5000;
+
+/*
+ * Number of VAST wrappers followed before giving up on an ad.
+ */
+const MAX_WRAPPER_DEPTH = 5;
+
+/**
+ * Loads ad tags referenced by a load request. The request's customData may
+ * hold a `vmapUrl` or `vmapXml` describing a full break schedule, or a
+ * `vastUrl` or `vastXml` played as a single break at `vastPosition` (seconds,
+ * `pre` or `post`; pre-roll when omitted).
+ */
+class AdTagLoader {
+  /**
+   * Whether the customData of a load request references an ad tag.
+   * @param {?Object} customData
+   * @return {boolean}
+   */
+  static hasAdTag(customData) {
+    return !!customData && !!(customData.vmapUrl || customData.vmapXml
+      || customData.vastUrl || customData.vastXml);
+  }
+
+  /**
+   * Loads the ad tag of a load request and sets the resulting breaks on the
+   * media.
+   * @param {cast.framework.messages.MediaInformation} mediaInformation The
+   *     target MediaInformation to be modified.
+   * @param {Object} customData The customData of the load request.
+   * @return {Promise} Resolves once the breaks are set.
+   */
+  static addBreaks(mediaInformation, customData) {
+    let breaksPromise;
+    if (customData.vmapUrl || customData.vmapXml) {
+      breaksPromise = AdTagLoader.loadDocument(customData.vmapUrl,
+        customData.vmapXml)
+      .then(({ doc, baseUrl }) => AdTagLoader.parseVmap(doc, baseUrl,
+        mediaInformation.duration));
+    } else {
+      const position = AdTagLoader.parsePosition(customData.vastPosition,
+        mediaInformation.duration);
+      breaksPromise = AdTagLoader.loadDocument(customData.vastUrl,
+        customData.vastXml)
+      .then(({ doc, baseUrl }) => AdTagLoader.parseVast(doc, baseUrl, 0))
+      .then((clips) => [{
+        id: 'vast-break',
+        position: position == null ? 0 : position,
+        clips: clips
+      }]);
+    }
+
+    return breaksPromise.then((adBreaks) => {
+      mediaInformation.breakClips = [];
+      mediaInformation.breaks = [];
+      adBreaks.forEach((adBreak, breakIndex) => {
+        const breakClipIds = adBreak.clips.map((clip, clipIndex) => {
+          clip.id = `${adBreak.id}-${breakIndex}-${clipIndex}`;
+          mediaInformation.breakClips.push(clip);
+          return clip.id;
+        });
+        if (breakClipIds.length) {
+          mediaInformation.breaks.push({
+            id: adBreak.id,
+            position: adBreak.position,
+            breakClipIds: breakClipIds
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Obtains an XML document either from inline XML or from a URL.
+   * @param {?string} url
+   * @param {?string} xml
+   * @return {Promise<{doc: !Document, baseUrl: string}|MediaError>}
+   */
+  static loadDocument(url, xml) {
+    const baseUrl = url
+      ? new URL(url, window.location.href).toString()
+      : window.location.href;
+    const textPromise = xml ? Promise.resolve(xml)
+      : fetchWithTimeout(baseUrl, AD_TAG_TIMEOUT_MS, (response) => {
+        if (!response.ok) {
+          return Promise.reject(new MediaError(MediaErrorType.NETWORK,
+            `Ad tag ${baseUrl} failed with status ${response.status}.`));
+        }
+        return response.text();
+      });
+
+    return textPromise.then((text) => {
+      const doc = new DOMParser().parseFromString(text, 'text/xml');
+      if (doc.getElementsByTagName('parsererror').length) {
+        return Promise.reject(new MediaError(MediaErrorType.PARSE,
+          `Ad tag ${url || '(inline)'} is not valid XML.`));
+      }
+      return { doc: doc, baseUrl: baseUrl };
+    });
+  }
+
+  /**
+   * Parses a VMAP document into breaks.
+   * @param {!Document} doc
+   * @param {string} baseUrl URL relative references are resolved against.
+   * @param {?number} duration Content duration, used for percentage offsets.
+   * @return {Promise<!Array<{id: string, position: number,
+   *     clips: !Array<Object>}>>}
+   */
+  static parseVmap(doc, baseUrl, duration) {
+    const adBreaks = Array.from(doc.getElementsByTagNameNS('*', 'AdBreak'));
+
+    return Promise.all(adBreaks.map((adBreak, index) => {
+      const position = AdTagLoader.parsePosition(
+        adBreak.getAttribute('timeOffset'), duration);
+      if (position == null) {
+        return null;
+      }
+
+      const id = adBreak.getAttribute('breakId') || `vmap-break-${index}`;
+      const inlineVast = descendantsByName(adBreak, 'VASTAdData')
+        .map((data) => childrenByName(data, 'VAST')[0])[0];
+      const tagUri = descendantsByName(adBreak, 'AdTagURI')[0];
+
+      let clipsPromise;
+      if (inlineVast) {
+        clipsPromise = AdTagLoader.parseVast(inlineVast, baseUrl, 0);
+      } else if (tagUri) {
+        clipsPromise = AdTagLoader.loadDocument(
+          resolveUrl(textOf(tagUri), baseUrl), null)
+        .then((loaded) => AdTagLoader.parseVast(loaded.doc,
+          loaded.baseUrl, 0));
+      } else {
+        return null;
+      }
+
+      return clipsPromise
+      .then((clips) => ({ id: id, position: position, clips: clips }))
+      .catch(() => null);
+    }))
+    .then((parsed) => parsed.filter((adBreak) => adBreak));
+  }
+
+  /**
+   * Parses the linear ads of a VAST document or element into break clips,
+   * following wrappers.
+   * @param {!Document|!Element} vast
+   * @param {string} baseUrl URL relative references are resolved against.
+   * @param {number} depth Number of wrappers already followed.
+   * @return {Promise<!Array<Object>>} Break clips, in ad sequence order.
+   */
+  static parseVast(vast, baseUrl, depth) {
+    const ads = childrenByName(vast.documentElement || vast, 'Ad')
+      .sort((a, b) => (Number(a.getAttribute('sequence')) || 0)
+        - (Number(b.getAttribute('sequence')) || 0));
+
+    return Promise.all(ads.map((ad) => {
+      const inLine = childrenByName(ad, 'InLine')[0];
+      const wrapper = childrenByName(ad, 'Wrapper')[0];
+      if (inLine) {
+        const clip = AdTagLoader.parseInLine(inLine, baseUrl);
+        return Promise.resolve(clip ? [clip] : []);
+      }
+      const tagUri = wrapper && childrenByName(wrapper, 'VASTAdTagURI')[0];
+      if (!tagUri || depth >= MAX_WRAPPER_DEPTH) {
+        return Promise.resolve([]);
+      }
+
+      const tracking = AdTagLoader.parseTracking(wrapper, baseUrl);
+      return AdTagLoader.loadDocument(resolveUrl(textOf(tagUri), baseUrl),
+        null)
+      .then((loaded) => AdTagLoader.parseVast(loaded.doc, loaded.baseUrl,
+        depth + 1))
+      .then((clips) => {
+        clips.forEach((clip) => mergeTracking(clip.customData.tracking,
+          tracking));
+        return clips;
+      })
+      .catch(() => []);
+    }))
+    .then((clipLists) => [].concat(...clipLists));
+  }
+
+  /**
+   * Parses an InLine ad into a break clip using its first linear creative.
+   * @param {!Element} inLine
+   * @param {string} baseUrl
+   * @return {?Object} The break clip, or null when nothing is playable.
+   */
+  static parseInLine(inLine, baseUrl) {
+    const linear = descendantsByName(inLine, 'Linear')[0];
+    if (!linear) {
+      return null;
+    }
+
+    const context = cast.framework.CastReceiverContext.getInstance();
+    const mediaFile = descendantsByName(linear, 'MediaFile').find((file) => {
+      const type = file.getAttribute('type');
+      return textOf(file) && type && context.canDisplayType(type);
+    });
+    if (!mediaFile) {
+      return null;
+    }
+
+    const duration = parseTime(textOf(childrenByName(linear,
+      'Duration')[0]));
+    const clickThrough = descendantsByName(linear, 'ClickThrough')[0];
+    const clip = {
+      title: textOf(childrenByName(inLine, 'AdTitle')[0]) || undefined,
+      contentUrl: resolveUrl(textOf(mediaFile), baseUrl),
+      contentType: mediaFile.getAttribute('type'),
+      duration: duration == null ? undefined : duration,
+      clickThroughUrl: clickThrough
+        ? resolveUrl(textOf(clickThrough), baseUrl) : undefined,
+      customData: {
+        tracking: AdTagLoader.parseTracking(inLine, baseUrl)
+      }
+    };
+
+    const skipOffset = linear.getAttribute('skipoffset');
+    if (skipOffset) {
+      clip.whenSkippable = skipOffset.endsWith('%')
+        ? (duration || 0) * parseFloat(skipOffset) / 100
+        : parseTime(skipOffset);
+    }
+    return clip;
+  }
+
+  /**
+   * Collects the tracking URLs of an InLine or Wrapper ad.
+   * @param {!Element} ad
+   * @param {string} baseUrl
+   * @return {!Object<string, !Array<string>>} URLs keyed by event name.
+   */
+  static parseTracking(ad, baseUrl) {
+    const tracking = {};
+    const add = (event, element) => {
+      const url = textOf(element);
+      if (url) {
+        (tracking[event] = tracking[event] || [])
+          .push(resolveUrl(url, baseUrl));
+      }
+    };
+
+    childrenByName(ad, 'Impression').forEach((el) => add('impression', el));
+    childrenByName(ad, 'Error').forEach((el) => add('error', el));
+    descendantsByName(ad, 'Tracking').forEach((el) => {
+      add(el.getAttribute('event'), el);
+    });
+    descendantsByName(ad, 'ClickTracking').forEach((el) => {
+      add('clickTracking', el);
+    });
+    return tracking;
+  }
+
+  /**
+   * Converts a VMAP timeOffset or a break position setting to the CAF break
+   * position in seconds.
+   * @param {?string|number} offset `start`/`pre`, `end`/`post`, seconds,
+   *     `HH:MM:SS(.mmm)` or a percentage of the content duration.
+   * @param {?number} duration
+   * @return {?number} The position, -1 for post-rolls, or null if unknown.
+   */
+  static parsePosition(offset, duration) {
+    if (offset == null || offset === '') {
+      return null;
+    }
+    if (offset == 'start' || offset == 'pre') {
+      return 0;
+    }
+    if (offset == 'end' || offset == 'post') {
+      return -1;
+    }
+    if (typeof offset == 'string' && offset.endsWith('%')) {
+      return duration > 0 ? duration * parseFloat(offset) / 100 : null;
+    }
+    return typeof offset == 'number' ? offset : parseTime(offset);
+  }
+}
+
+/**
+ * Parses a VAST time (HH:MM:SS or HH:MM:SS.mmm) or plain seconds.
+ * @param {?string} value
+ * @return {?number} Seconds, or null when the value cannot be parsed.
+ */
+function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(isNaN)) {
+    return null;
+  }
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * @param {?Element} element
+ * @return {string} The trimmed text content, including CDATA sections.
+ */
+function textOf(element) {
+  return element ? element.textContent.trim() : '';
+}
+
+/**
+ * @param {string} url
+ * @param {string} baseUrl
+ * @return {string}
+ */
+function resolveUrl(url, baseUrl) {
+  return new URL(url, baseUrl).toString();
+}
+
+/**
+ * Direct children of an element with the given local name, ignoring
+ * namespaces.
+ * @param {!Element} element
+ * @param {string} name
+ * @return {!Array<!Element>}
+ */
+function childrenByName(element, name) {
+  return Array.from(element.children)
+    .filter((child) => child.localName == name);
+}
+
+/**
+ * Descendants of an element with the given local name, ignoring namespaces.
+ * @param {!Element} element
+ * @param {string} name
+ * @return {!Array<!Element>}
+ */
+function descendantsByName(element, name) {
+  return Array.from(element.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Appends the tracking URLs of a wrapper to the ones of a wrapped ad.
+ * @param {!Object<string, !Array<string>>} target
+ * @param {!Object<string, !Array<string>>} source
+ */
+function mergeTracking(target, source) {
+  Object.entries(source).forEach(([event, urls]) => {
+    target[event] = (target[event] || []).concat(urls);
+  });
+}
+
+export {
+  AdTagLoader
+};
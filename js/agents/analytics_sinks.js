@@ -0,0 +1,430 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use_strict';
+
+import { initGoogleAnalytics } from './google_analytics.js';
+
+/**
+ * @fileoverview Destinations the trackers publish their events to. Every
+ * tracker event is an object of the form:
+ *
+ *   {
+ *     "category": "ad",
+ *     "action": "BREAK_CLIP_STARTED",
+ *     "label": "fbb_ad",
+ *     "params": {"id": "fbb_ad", "position": 0, "length": 30},
+ *     "timestamp": 1650000000000,
+ *     "session": {"id": "...", "senderTypes": ["ANDROID_SENDER"], ...}
+ *   }
+ *
+ * where the category is the tracker type, the label the value the legacy
+ * analytics.js reports were keyed by, params the rest of the data the
+ * tracker collected, and session the context of the receiver session, when
+ * one is tracked.
+ */
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_ANALYTICS_TAG = 'Analytics';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_ANALYTICS_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Template for the analytics destinations. Extending classes deliver events
+ * to their backend in send(), and override sendBatch() when their backend
+ * accepts several events per request.
+ */
+class AnalyticsSink {
+  /**
+   * Delivers a tracker event.
+   * @param {!Object} event
+   * @return {!Promise} Resolves once the event is handed to the backend.
+   */
+  send(event) {
+    return Promise.resolve();
+  }
+
+  /**
+   * Delivers several tracker events, by default one at a time.
+   * @param {!Array<!Object>} events
+   * @return {!Promise} Resolves once every event is handed to the backend.
+   */
+  sendBatch(events) {
+    return Promise.all(events.map((event) => this.send(event)));
+  }
+}
+
+/**
+ * Sends events to the legacy analytics.js snippet as `ga('send', 'event')`
+ * hits. The snippet is injected when the first sink is created.
+ */
+class GoogleAnalyticsSink extends AnalyticsSink {
+  /**
+   * @param {string=} trackingId The Universal Analytics property to create
+   *     the tracker for. Without one the page is expected to create it.
+   */
+  constructor(trackingId) {
+    super();
+    if (!window.ga) {
+      initGoogleAnalytics();
+    }
+    if (trackingId) {
+      ga('create', trackingId, 'auto');
+    }
+  }
+
+  /**
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    ga('send', 'event', event.category, event.action, event.label);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Sends events to a Google Analytics 4 property through the Measurement
+ * Protocol. Events are named `<category>_<action>` in lower case, with the
+ * label and params as event parameters.
+ */
+class Ga4Sink extends AnalyticsSink {
+  static ENDPOINT = 'https://www.google-analytics.com/mp/collect';
+
+  /*
+   * Maximum events the Measurement Protocol accepts per request.
+   */
+  static MAX_EVENTS_PER_REQUEST = 25;
+
+  static CLIENT_ID_KEY = 'castReceiver.analyticsClientId';
+
+  /**
+   * @param {string} measurementId The G-XXXXXXX ID of the data stream.
+   * @param {string} apiSecret Measurement Protocol secret of the stream.
+   * @param {string=} clientId Identifies the device. Defaults to an ID
+   *     generated once and kept in local storage.
+   */
+  constructor(measurementId, apiSecret, clientId) {
+    super();
+    this.url = `${Ga4Sink.ENDPOINT}?measurement_id=`
+      + `${encodeURIComponent(measurementId)}`
+      + `&api_secret=${encodeURIComponent(apiSecret)}`;
+    this.clientId = clientId || Ga4Sink.getClientId();
+  }
+
+  /**
+   * Obtains the client ID of the device, generating it on first use.
+   * @return {string}
+   */
+  static getClientId() {
+    try {
+      let clientId = window.localStorage.getItem(Ga4Sink.CLIENT_ID_KEY);
+      if (!clientId) {
+        clientId = `${Math.floor(Math.random() * 1e10)}.${Date.now()}`;
+        window.localStorage.setItem(Ga4Sink.CLIENT_ID_KEY, clientId);
+      }
+      return clientId;
+    } catch (e) {
+      // Without storage the device is counted as a new client every session.
+      return `${Math.floor(Math.random() * 1e10)}.${Date.now()}`;
+    }
+  }
+
+  /**
+   * Converts a tracker event to a Measurement Protocol event. Names may only
+   * hold letters, digits and underscores and are at most 40 characters long.
+   * @param {!Object} event
+   * @return {{name: string, params: !Object}}
+   */
+  static toMeasurementEvent(event) {
+    const name = `${event.category}_${event.action}`.toLowerCase()
+      .replace(/[^a-z0-9_]/g, '_').slice(0, 40);
+    return {
+      name: name,
+      params: Object.assign({}, event.params, {
+        label: event.label,
+        session_id: event.session ? event.session.id : undefined
+      })
+    };
+  }
+
+  /**
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    return this.post([event]);
+  }
+
+  /**
+   * @param {!Array<!Object>} events
+   * @return {!Promise}
+   * @override
+   */
+  sendBatch(events) {
+    const requests = [];
+    for (let i = 0; i < events.length; i += Ga4Sink.MAX_EVENTS_PER_REQUEST) {
+      requests.push(this.post(
+        events.slice(i, i + Ga4Sink.MAX_EVENTS_PER_REQUEST)));
+    }
+    return Promise.all(requests);
+  }
+
+  /**
+   * Sends events in one Measurement Protocol request, timestamped with the
+   * time of the first of them.
+   * @param {!Array<!Object>} events
+   * @return {!Promise}
+   */
+  post(events) {
+    return fetch(this.url, {
+      method: 'POST',
+      keepalive: true,
+      body: JSON.stringify({
+        client_id: this.clientId,
+        timestamp_micros: events[0].timestamp * 1000,
+        events: events.map((event) => Ga4Sink.toMeasurementEvent(event))
+      })
+    })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Measurement Protocol returned ${response.status}`);
+      }
+    });
+  }
+}
+
+/**
+ * Posts events as JSON to a generic HTTP collection endpoint, using the
+ * Beacon API where available so events survive the receiver being closed.
+ * Single events are posted as an object and batches as an array.
+ */
+class BeaconSink extends AnalyticsSink {
+  /**
+   * @param {string} url The collection endpoint.
+   */
+  constructor(url) {
+    super();
+    this.url = url;
+  }
+
+  /**
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    return this.post(JSON.stringify(event));
+  }
+
+  /**
+   * @param {!Array<!Object>} events
+   * @return {!Promise}
+   * @override
+   */
+  sendBatch(events) {
+    return this.post(JSON.stringify(events));
+  }
+
+  /**
+   * Posts a JSON body, falling back to fetch when the beacon is refused,
+   * e.g. for bodies over the beacon size limit.
+   * @param {string} body
+   * @return {!Promise}
+   */
+  post(body) {
+    if (navigator.sendBeacon && navigator.sendBeacon(this.url, body)) {
+      return Promise.resolve();
+    }
+
+    return fetch(this.url, {
+      method: 'POST',
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`${this.url} returned ${response.status}`);
+      }
+    });
+  }
+}
+
+/**
+ * Writes events to the debug logger, e.g. while developing a tracker.
+ */
+class ConsoleSink extends AnalyticsSink {
+  /**
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    castDebugLogger.info(LOG_ANALYTICS_TAG,
+      `${event.category} ${event.action} ${event.label || ''} `
+      + JSON.stringify(event.params));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Keeps events in memory so tests can inspect what the trackers published.
+ */
+class MemorySink extends AnalyticsSink {
+  constructor() {
+    super();
+    this.events = [];
+  }
+
+  /**
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    this.events.push(event);
+    return Promise.resolve();
+  }
+
+  /**
+   * Forgets the events received so far.
+   */
+  clear() {
+    this.events = [];
+  }
+}
+
+/**
+ * Forwards every event to several sinks. A failing sink does not keep the
+ * others from receiving the event.
+ */
+class FanOutSink extends AnalyticsSink {
+  /**
+   * @param {!Array<!AnalyticsSink>} sinks
+   */
+  constructor(sinks) {
+    super();
+    this.sinks = sinks;
+  }
+
+  /**
+   * @param {!Object} event
+   * @return {!Promise} Rejects when any of the sinks failed.
+   * @override
+   */
+  send(event) {
+    return this.forward((sink) => sink.send(event));
+  }
+
+  /**
+   * @param {!Array<!Object>} events
+   * @return {!Promise} Rejects when any of the sinks failed.
+   * @override
+   */
+  sendBatch(events) {
+    return this.forward((sink) => sink.sendBatch(events));
+  }
+
+  /**
+   * Calls every sink, waiting for all of them before reporting a failure.
+   * @param {function(!AnalyticsSink): !Promise} call
+   * @return {!Promise}
+   */
+  forward(call) {
+    return Promise.all(this.sinks.map((sink) => {
+      return Promise.resolve()
+      .then(() => call(sink))
+      .then(() => null, (error) => error);
+    }))
+    .then((errors) => {
+      const error = errors.find((error) => error);
+      if (error) {
+        throw error;
+      }
+    });
+  }
+}
+
+/**
+ * Enumeration of the sink types createSink() can build.
+ */
+const SinkType = {
+  GOOGLE_ANALYTICS: 'ga',
+  GA4: 'ga4',
+  BEACON: 'beacon',
+  CONSOLE: 'console',
+  MEMORY: 'memory'
+};
+
+/**
+ * Creates a sink from its configuration. An array of configurations creates
+ * a FanOutSink forwarding to each of them.
+ * @param {!Object|!Array<!Object>} config The sink `type`, one of SinkType,
+ *     and its settings: `trackingId` for Google Analytics, `measurementId`
+ *     and `apiSecret` for GA4, and `url` for beacons.
+ * @return {!AnalyticsSink}
+ */
+function createSink(config) {
+  if (Array.isArray(config)) {
+    return new FanOutSink(config.map((sinkConfig) => createSink(sinkConfig)));
+  }
+
+  switch (config.type) {
+    case SinkType.GOOGLE_ANALYTICS:
+      return new GoogleAnalyticsSink(config.trackingId);
+    case SinkType.GA4:
+      if (!config.measurementId || !config.apiSecret) {
+        throw new Error('GA4 sinks need a measurementId and an apiSecret.');
+      }
+      return new Ga4Sink(config.measurementId, config.apiSecret,
+        config.clientId);
+    case SinkType.BEACON:
+      if (!config.url) {
+        throw new Error('Beacon sinks need a url.');
+      }
+      return new BeaconSink(config.url);
+    case SinkType.CONSOLE:
+      return new ConsoleSink();
+    case SinkType.MEMORY:
+      return new MemorySink();
+    default:
+      throw new Error(`Unknown analytics sink type: ${config.type}`);
+  }
+}
+
+export {
+  SinkType,
+  createSink,
+  AnalyticsSink,
+  GoogleAnalyticsSink,
+  Ga4Sink,
+  BeaconSink,
+  ConsoleSink,
+  MemorySink,
+  FanOutSink
+};
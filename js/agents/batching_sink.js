@@ -0,0 +1,250 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use_strict';
+
+import { AnalyticsSink } from './analytics_sinks.js';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_ANALYTICS_TAG = 'Analytics';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_ANALYTICS_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Obtains the local storage, or a store kept in memory where the page may not
+ * use local storage.
+ * @return {!Storage}
+ */
+function getDefaultStorage() {
+  try {
+    if (window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (e) {
+    // Reading localStorage throws where storage is blocked.
+  }
+  castDebugLogger.warn(LOG_ANALYTICS_TAG,
+    'Local storage is unavailable, pending events are kept in memory');
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+/**
+ * Queues tracker events in front of another sink and delivers them in
+ * batches. Pending events are kept in local storage so they outlive the
+ * receiver, and failed batches are retried with an exponential backoff until
+ * the network and the backend are back. Once the queue reaches its cap the
+ * oldest events are dropped.
+ *
+ * A failed batch is resent as a whole, so sinks fanned out to different
+ * backends should each get their own BatchingSink.
+ */
+class BatchingSink extends AnalyticsSink {
+  static DEFAULT_OPTIONS = {
+    // Storage key of the pending events.
+    storageKey: 'castReceiver.analyticsQueue',
+    // Events delivered per batch.
+    batchSize: 20,
+    // Delay, in milliseconds, before a partial batch is delivered.
+    flushIntervalMs: 5000,
+    // Pending events kept before the oldest are dropped.
+    maxEvents: 500,
+    // First and longest delays, in milliseconds, between retries.
+    minRetryDelayMs: 1000,
+    maxRetryDelayMs: 5 * 60 * 1000
+  };
+
+  /**
+   * @param {!AnalyticsSink} sink Where the batches are delivered.
+   * @param {Object=} options Overrides of DEFAULT_OPTIONS.
+   * @param {Storage=} storage Where pending events are persisted.
+   */
+  constructor(sink, options, storage = getDefaultStorage()) {
+    super();
+    this.sink = sink;
+    this.options = Object.assign({}, BatchingSink.DEFAULT_OPTIONS, options);
+    this.storage = storage;
+    this.queue = this.load();
+    this.timer = null;
+    this.inFlight = null;
+    this.retryDelayMs = 0;
+
+    window.addEventListener('online', () => this.flush());
+    if (this.queue.length) {
+      castDebugLogger.info(LOG_ANALYTICS_TAG,
+        `Restored ${this.queue.length} pending analytics events`);
+      this.scheduleFlush(this.options.flushIntervalMs);
+    }
+  }
+
+  /**
+   * Flushes the queue when the receiver shuts down or a sender disconnects,
+   * the last chances to deliver the events of a session.
+   * @param {cast.framework.CastReceiverContext} context
+   */
+  attach(context) {
+    const EventType = cast.framework.system.EventType;
+    // Let the trackers publish their own final events before flushing.
+    const flushSoon = () => window.setTimeout(() => this.flush(), 0);
+    context.addEventListener(EventType.SHUTDOWN, flushSoon);
+    context.addEventListener(EventType.SENDER_DISCONNECTED, flushSoon);
+  }
+
+  /**
+   * Queues an event. The queue is flushed once a batch is full or after
+   * flushIntervalMs otherwise, unless a failed delivery is to be retried.
+   * @param {!Object} event
+   * @return {!Promise}
+   * @override
+   */
+  send(event) {
+    return this.sendBatch([event]);
+  }
+
+  /**
+   * @param {!Array<!Object>} events
+   * @return {!Promise}
+   * @override
+   */
+  sendBatch(events) {
+    this.queue = this.queue.concat(events);
+    const overflow = this.queue.length - this.options.maxEvents;
+    if (overflow > 0) {
+      castDebugLogger.warn(LOG_ANALYTICS_TAG,
+        `Dropping ${overflow} analytics events over the queue cap`);
+      this.queue = this.queue.slice(overflow);
+    }
+    this.save();
+
+    // While a retry is pending the queue waits for it, keeping the backoff.
+    if (this.queue.length >= this.options.batchSize && !this.retryDelayMs) {
+      this.flush();
+    } else {
+      this.scheduleFlush(this.options.flushIntervalMs);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Delivers the pending events batch by batch. While a batch is in flight
+   * further calls share its promise.
+   * @return {!Promise} Resolves once the queue is empty or delivery failed,
+   *     in which case a retry is scheduled.
+   */
+  flush() {
+    if (this.inFlight) {
+      return this.inFlight;
+    }
+    window.clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.queue.length) {
+      return Promise.resolve();
+    }
+    if (navigator.onLine === false) {
+      this.scheduleRetry();
+      return Promise.resolve();
+    }
+
+    const batch = this.queue.slice(0, this.options.batchSize);
+    this.inFlight = Promise.resolve()
+    .then(() => this.sink.sendBatch(batch))
+    .then(() => {
+      // Events may have been dropped by the cap while the batch was sent.
+      const sent = new Set(batch);
+      this.queue = this.queue.filter((event) => !sent.has(event));
+      this.save();
+      this.retryDelayMs = 0;
+      this.inFlight = null;
+      return this.flush();
+    }, (error) => {
+      castDebugLogger.warn(LOG_ANALYTICS_TAG,
+        `Unable to deliver ${batch.length} analytics events: `
+        + (error.message || error));
+      this.inFlight = null;
+      this.scheduleRetry();
+    });
+    return this.inFlight;
+  }
+
+  /**
+   * Flushes the queue after a delay unless a flush is already scheduled.
+   * @param {number} delayMs
+   */
+  scheduleFlush(delayMs) {
+    if (this.timer == null) {
+      this.timer = window.setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, delayMs);
+    }
+  }
+
+  /**
+   * Schedules the next delivery attempt, doubling the delay after every
+   * failure up to maxRetryDelayMs. Some jitter keeps receivers that went
+   * offline together from retrying together.
+   */
+  scheduleRetry() {
+    this.retryDelayMs = Math.min(this.options.maxRetryDelayMs,
+      Math.max(this.options.minRetryDelayMs, this.retryDelayMs * 2));
+    window.clearTimeout(this.timer);
+    this.timer = null;
+    this.scheduleFlush(this.retryDelayMs * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Reads the pending events from storage.
+   * @return {!Array<!Object>}
+   */
+  load() {
+    try {
+      const queue = JSON.parse(this.storage.getItem(this.options.storageKey));
+      return Array.isArray(queue) ? queue : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Writes the pending events to storage.
+   */
+  save() {
+    try {
+      this.storage.setItem(this.options.storageKey,
+        JSON.stringify(this.queue));
+    } catch (e) {
+      castDebugLogger.warn(LOG_ANALYTICS_TAG,
+        `Unable to persist analytics events: ${e.message}`);
+    }
+  }
+}
+
+export {
+  BatchingSink
+};
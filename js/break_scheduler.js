@@ -0,0 +1,277 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { MediaFetcher } from './media_fetcher.js';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_BREAKS_TAG = 'Breaks';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_BREAKS_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Builds the breakClips and breaks of a MediaInformation from a break plan.
+ * Plans are read from the `breakPlan` field of a catalog entry or of the load
+ * request's customData and look like:
+ *
+ *   {
+ *     "enabled": true,
+ *     "maxBreaks": 4,
+ *     "clipFrequencyCap": 2,
+ *     "breaks": [
+ *       {"position": "pre", "clips": ["fbb_ad"], "whenSkippable": 5},
+ *       {"position": 300, "clips": ["fbb_ad"]},
+ *       {"position": "mid", "every": 600, "clips": ["fbb_ad"]},
+ *       {"position": "post", "clips": [{"id": "fbb_ad", "whenSkippable": 0}]}
+ *     ]
+ *   }
+ *
+ * Clips may also be given as `{"id": ..., "tracking": {"start": [urls]}}`
+ * with tracking pixel URLs keyed by VAST event name, which AdsTracker fires
+ * during playback. Without them, the clip's catalog entry can provide them
+ * in `customData.tracking`.
+ *
+ * Positions are `pre`, `post`, a time in seconds, or `mid` with an `every`
+ * interval, of at least MIN_REPEAT_INTERVAL_SEC, that repeats the break
+ * through the duration of the content.
+ * `maxBreaks` caps the breaks per item and `clipFrequencyCap` caps how many
+ * times a clip is played during the receiver session, as counted once
+ * attached to the PlayerManager.
+ */
+class BreakScheduler {
+  /*
+   * Shortest interval, in seconds, between repeating mid-rolls.
+   */
+  static MIN_REPEAT_INTERVAL_SEC = 30;
+
+  constructor() {
+    // Plays of each clip, and the clip of each scheduled break clip.
+    this.clipCounts = {};
+    this.clipIdsByBreakClipId = {};
+  }
+
+  /**
+   * Counts the plays of the scheduled clips against the frequency cap.
+   * @param {cast.framework.PlayerManager} playerManager
+   */
+  attach(playerManager) {
+    playerManager.addEventListener(
+      cast.framework.events.EventType.BREAK_CLIP_STARTED, (event) => {
+        const clipId = this.clipIdsByBreakClipId[event.breakClipId];
+        if (clipId != null) {
+          this.clipCounts[clipId] = (this.clipCounts[clipId] || 0) + 1;
+        }
+      });
+  }
+
+  /**
+   * Picks the break plan for a load. A plan in the load request's customData
+   * takes precedence over the one in the catalog entry, and either can turn
+   * breaks off for the content with `"enabled": false`.
+   * @param {?Object} item The catalog entry of the loaded media, if any.
+   * @param {?Object} customData The customData of the load request.
+   * @return {?Object} The plan to schedule, or null when breaks are disabled.
+   */
+  static resolvePlan(item, customData) {
+    const plan = (customData && customData.breakPlan)
+      || (item && item.breakPlan);
+    if (!plan || plan.enabled === false || !Array.isArray(plan.breaks)) {
+      return null;
+    }
+    return plan;
+  }
+
+  /**
+   * Adds the breaks of a plan to the media. Clips that cannot be fetched from
+   * the catalog are left out rather than failing the load.
+   * @param {cast.framework.messages.MediaInformation} mediaInformation The
+   *     target MediaInformation to be modified.
+   * @param {Object} plan The break plan.
+   * @return {Promise} Resolves once the breaks are set.
+   */
+  schedule(mediaInformation, plan) {
+    const breaks = this.expandBreaks(plan, mediaInformation.duration);
+    const clipIds = new Set();
+    breaks.forEach((adBreak) => {
+      adBreak.clips.forEach((clip) => clipIds.add(clip.id));
+    });
+
+    return Promise.all(Array.from(clipIds).map((clipId) => {
+      return MediaFetcher.fetchMediaInformationById(clipId)
+      .catch((error) => {
+        castDebugLogger.warn(LOG_BREAKS_TAG,
+          `Skipping break clip ${clipId}: ${error.message || error}`);
+        return null;
+      });
+    }))
+    .then((clipInfos) => {
+      const clipInfoById = {};
+      Array.from(clipIds).forEach((clipId, i) => {
+        clipInfoById[clipId] = clipInfos[i];
+      });
+
+      const breakClips = {};
+      const scheduledBreaks = [];
+      const scheduledCounts = {};
+      breaks.forEach((adBreak) => {
+        const breakClipIds = [];
+        adBreak.clips.forEach((clip) => {
+          const clipInfo = clipInfoById[clip.id];
+          if (!clipInfo || !this.takeClip(clip.id, plan.clipFrequencyCap,
+            scheduledCounts)) {
+            return;
+          }
+
+          const whenSkippable = clip.whenSkippable != null
+            ? clip.whenSkippable : adBreak.whenSkippable;
+          const breakClipId = whenSkippable != null
+            ? `${clip.id}-skip${whenSkippable}` : clip.id;
+          if (!breakClips[breakClipId]) {
+            breakClips[breakClipId] = {
+              id: breakClipId,
+              title: clipInfo.metadata && clipInfo.metadata.title,
+              contentUrl: clipInfo.contentUrl,
+              contentType: clipInfo.contentType,
+              duration: clipInfo.duration,
+              whenSkippable: whenSkippable,
+              customData: {
+                tracking: clip.tracking
+                  || (clipInfo.customData && clipInfo.customData.tracking)
+              }
+            };
+          }
+          this.clipIdsByBreakClipId[breakClipId] = clip.id;
+          breakClipIds.push(breakClipId);
+        });
+
+        if (breakClipIds.length) {
+          scheduledBreaks.push({
+            id: adBreak.id,
+            breakClipIds: breakClipIds,
+            position: adBreak.position
+          });
+        }
+      });
+
+      mediaInformation.breakClips = Object.values(breakClips);
+      mediaInformation.breaks = scheduledBreaks;
+      castDebugLogger.info(LOG_BREAKS_TAG,
+        `Scheduled ${scheduledBreaks.length} breaks`);
+    });
+  }
+
+  /**
+   * Converts the breaks of a plan to concrete positions, ordered pre-roll
+   * first and post-roll last, and applies the plan's maxBreaks cap.
+   * @param {Object} plan The break plan.
+   * @param {?number} duration Duration of the content in seconds.
+   * @return {!Array<{id: string, position: number, clips: !Array<Object>,
+   *     whenSkippable: (number|undefined)}>}
+   */
+  expandBreaks(plan, duration) {
+    const breaks = [];
+    const ids = new Set();
+    const addBreak = (id, position, entry) => {
+      // Plans may repeat a position, e.g. with two pre-roll entries.
+      let uniqueId = id;
+      for (let n = 2; ids.has(uniqueId); n++) {
+        uniqueId = `${id}-${n}`;
+      }
+      ids.add(uniqueId);
+      breaks.push({
+        id: uniqueId,
+        position: position,
+        clips: [].concat(entry.clips || []).map((clip) => {
+          return typeof clip == 'string' ? { id: clip } : clip;
+        }),
+        whenSkippable: entry.whenSkippable
+      });
+    };
+
+    plan.breaks.forEach((entry) => {
+      if (entry.position == 'pre') {
+        addBreak('pre-roll', 0, entry);
+      } else if (entry.position == 'post') {
+        addBreak('post-roll', -1, entry);
+      } else if (entry.position == 'mid' && entry.every > 0) {
+        if (!(duration > 0)) {
+          castDebugLogger.warn(LOG_BREAKS_TAG,
+            'Repeating mid-rolls need the duration of the content.');
+          return;
+        }
+        let every = Number(entry.every);
+        if (every < BreakScheduler.MIN_REPEAT_INTERVAL_SEC) {
+          castDebugLogger.warn(LOG_BREAKS_TAG,
+            `Raising the mid-roll interval of ${every} s to the minimum.`);
+          every = BreakScheduler.MIN_REPEAT_INTERVAL_SEC;
+        }
+        // Later repeats of the entry would be cut by maxBreaks anyway.
+        for (let time = every, count = 0; time < duration
+          && !(plan.maxBreaks > 0 && count >= plan.maxBreaks);
+          time += every, count++) {
+          addBreak(`mid-roll-${time}`, time, entry);
+        }
+      } else if (entry.position > 0) {
+        addBreak(`mid-roll-${entry.position}`, Number(entry.position), entry);
+      }
+    });
+
+    // Post-rolls have position -1, sort them after every other break.
+    breaks.sort((a, b) => {
+      const aIsPost = a.position < 0;
+      const bIsPost = b.position < 0;
+      if (aIsPost || bIsPost) {
+        return aIsPost == bIsPost ? 0 : (aIsPost ? 1 : -1);
+      }
+      return a.position - b.position;
+    });
+
+    return plan.maxBreaks > 0 ? breaks.slice(0, plan.maxBreaks) : breaks;
+  }
+
+  /**
+   * Checks a clip against the session frequency cap, counting its plays and
+   * the times it is already scheduled for the item.
+   * @param {string} clipId
+   * @param {number=} cap Maximum times the clip may be played.
+   * @param {!Object<string, number>} scheduledCounts Times each clip is
+   *     scheduled for the item, counting the clip when it may be scheduled.
+   * @return {boolean} Whether the clip may be scheduled.
+   */
+  takeClip(clipId, cap, scheduledCounts) {
+    const count = (this.clipCounts[clipId] || 0)
+      + (scheduledCounts[clipId] || 0);
+    if (cap > 0 && count >= cap) {
+      return false;
+    }
+    scheduledCounts[clipId] = (scheduledCounts[clipId] || 0) + 1;
+    return true;
+  }
+}
+
+export {
+  BreakScheduler
+};
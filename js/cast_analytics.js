@@ -17,54 +17,133 @@ limitations under the License.
 'use_strict';
 
 import { CastEventType, EventOwner } from './cast_event_types.js';
-import { initGoogleAnalytics } from './agents/google_analytics.js';
+import { GoogleAnalyticsSink } from './agents/analytics_sinks.js';
+import { fireTrackingPixels } from './tracking_pixels.js';
 
 /**
  * @fileoverview This sample demonstrates how to acquire and send Cast
  * information to analytics services such as Google Analytics.
  */
 
-/*
- * Initialize the Google Analytics agent.
+/**
+ * Escapes the characters of a string that are special in regular expressions.
+ * @param {string} text
+ * @return {string}
  */
-initGoogleAnalytics();
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 /**
  * Modules that handle Cast SDK events. The Tracker class is a template for its
  * extending classes. Each should be customized to relay infomation about the
- * event captured to its respective backend services through the sendData()
- * method.
+ * event captured through the sendData() method, which publishes it to the
+ * tracker's analytics sink. Trackers share the default sink, the legacy
+ * Google Analytics agent, unless given their own.
  */
 class Tracker {
-  constructor(trackerType) {
+  /*
+   * Sink used by trackers created without one.
+   */
+  static defaultSink = null;
+
+  /*
+   * Receiver session whose context is attached to every event.
+   */
+  static session = null;
+
+  /**
+   * @param {string} trackerType
+   * @param {AnalyticsSink=} sink Where the tracker publishes its events.
+   */
+  constructor(trackerType, sink) {
     this.context = cast.framework.CastReceiverContext.getInstance();
     this.playerManager = this.context.getPlayerManager();
     this.type = trackerType;
+    this.sink = sink || Tracker.getDefaultSink();
     this.castEventTypes = [];
+    this.listeners = [];
+  }
+
+  /**
+   * Obtains the sink shared by the trackers, creating the Google Analytics
+   * sink when none was set.
+   * @return {!AnalyticsSink}
+   */
+  static getDefaultSink() {
+    if (!Tracker.defaultSink) {
+      Tracker.defaultSink = new GoogleAnalyticsSink();
+    }
+    return Tracker.defaultSink;
+  }
+
+  /**
+   * Sets the sink shared by trackers created from now on.
+   * @param {!AnalyticsSink} sink
+   */
+  static setDefaultSink(sink) {
+    Tracker.defaultSink = sink;
+  }
+
+  /**
+   * Sets the receiver session attached to the events of every tracker.
+   * @param {ReceiverSession} session
+   */
+  static setSession(session) {
+    Tracker.session = session;
   }
 
   /**
    * Creates the tracker's eventlisteners and binds them to its registered
    * SDK event types. Uses the CastEventType mapping imported from
-   * cast_event_types.js.
+   * cast_event_types.js. Does nothing if the tracker is already tracking.
    */
   startTracking() {
+    if (this.isTracking()) {
+      return;
+    }
+
     this.castEventTypes.forEach((eventType) => {
+      let target = null;
       if (eventType.owner == EventOwner.PLAYER_MANAGER) {
-        this.playerManager.addEventListener(eventType.event,
-          this.handleEvent.bind(this));
+        target = this.playerManager;
       }
 
       else if (eventType.owner == EventOwner.CAST_RECEIVER_CONTEXT) {
-        this.context.addEventListener(eventType.event,
-          this.handleEvent.bind(this));
+        target = this.context;
       }
 
       else {
         console.error("Unrecognized CastEventType: "
           + JSON.stringify(eventType));
+        return;
       }
+
+      const listener = this.handleEvent.bind(this);
+      target.addEventListener(eventType.event, listener);
+      this.listeners.push({
+        target: target,
+        event: eventType.event,
+        listener: listener
+      });
+    });
+  }
+
+  /**
+   * Removes the eventlisteners created by startTracking().
+   */
+  stopTracking() {
+    this.listeners.forEach(({ target, event, listener }) => {
+      target.removeEventListener(event, listener);
     });
+    this.listeners = [];
+  }
+
+  /**
+   * @return {boolean} Whether the tracker is listening to its events.
+   */
+  isTracking() {
+    return this.listeners.length > 0;
   }
 
   /**
@@ -81,20 +160,54 @@ class Tracker {
    * @param {Object} data The data to be sent to analytics provider backends.
    */
   sendData(data) {}
+
+  /**
+   * Publishes an event of this tracker to its sink, along with the context of
+   * the receiver session. Failures are logged and otherwise ignored.
+   * @param {string} action
+   * @param {string|undefined} label
+   * @param {Object} data The data collected for the event.
+   */
+  publish(action, label, data) {
+    const params = Object.assign({}, data);
+    delete params.action;
+
+    Promise.resolve()
+    .then(() => this.sink.send({
+      category: this.type,
+      action: action,
+      label: label,
+      params: params,
+      timestamp: Date.now(),
+      session: Tracker.session ? Tracker.session.getContext() : undefined
+    }))
+    .catch((error) => {
+      console.error(`Unable to publish ${this.type} ${action}: `
+        + (error.message || error));
+    });
+  }
 }
 
 /**
  * Handles ad related events and send them to an analytics service. Event data
- * tracked includes quartile ad events, ad loading time, and break tracking.
+ * tracked includes the start, quartiles, completion, skip, pause and resume of
+ * each break clip, click-throughs, and break tracking. Clip events carry the
+ * break ID and the position of the clip within its break.
+ *
+ * Break clips carrying tracking URLs in customData.tracking, keyed by VAST
+ * event name, also have their pixels fired for each of these events. Clips
+ * from VAST and VMAP ad tags get them from AdTagLoader, and clips of a break
+ * plan from its `tracking` setting.
  */
 class AdsTracker extends Tracker {
-  constructor() {
-    super("ad");
+  constructor(sink) {
+    super("ad", sink);
     this.breakManager = this.playerManager.getBreakManager();
     this.breakStarted = false;
     this.breakEnded = false;
     this.breakClipStarted = false;
     this.breakClipEnded = false;
+    this.breakClipPaused = false;
     this.breakClipCount = null;
     this.breakClipLength = null;
     this.breakClipPosition = null;
@@ -103,21 +216,24 @@ class AdsTracker extends Tracker {
     this.qt1 = null;
     this.qt2 = null;
     this.qt3 = null;
+    this.tracking = null;
     this.castEventTypes = [
       CastEventType.BREAK_ENDED,
       CastEventType.BREAK_CLIP_STARTED,
       CastEventType.BREAK_CLIP_LOADING,
       CastEventType.BREAK_CLIP_ENDED,
       CastEventType.BREAK_STARTED,
-      CastEventType.TIME_UPDATE
+      CastEventType.TIME_UPDATE,
+      CastEventType.PAUSE,
+      CastEventType.PLAY
     ];
   }
 
   /**
-   * Handles the incoming event if it is a break event type or time update
-   * while the break is started. When a time update is detected, the type is
-   * modified to create a custom quartile event with added break and breakClip
-   * id for additional context.
+   * Handles the incoming event if it is a break event type, or a time update,
+   * pause or play while the break is started. When a time update is detected,
+   * the type is modified to create a custom quartile event with added break
+   * and breakClip id for additional context.
    * @param {cast.framework.events.BreaksEvent|
    *     cast.framework.events.BreaksEvent.MediaElementEvent} event
    * @override
@@ -145,6 +261,12 @@ class AdsTracker extends Tracker {
       case CastEventType.BREAK_ENDED.event:
         this.handleBreakEnded(event);
         break;
+      case CastEventType.PAUSE.event:
+        this.handlePause(event);
+        break;
+      case CastEventType.PLAY.event:
+        this.handlePlay(event);
+        break;
     }
   }
 
@@ -156,6 +278,7 @@ class AdsTracker extends Tracker {
   handleBreakStarted(event) {
     let data = {};
     this.breakStarted = true;
+    this.breakEnded = false;
     this.breakId = event.breakId;
 
     data.action = event.type;
@@ -171,64 +294,90 @@ class AdsTracker extends Tracker {
    * @param {cast.framework.events.EventType.TIME_UPDATE} event
    */
   handleTimeUpdate(event) {
-    let data = {};
     let currTime = this.breakManager.getBreakClipCurrentTimeSec();
-    data.id = this.breakClipId;
+    let action = null;
 
     if (this.qt1 && currTime > this.qt1) {
       this.qt1 = null;
-      data.action = 'BREAK_CLIP_QT1';
+      action = 'BREAK_CLIP_FIRST_QUARTILE';
+      this.firePixels('firstQuartile');
     } else if (this.qt2 && currTime > this.qt2) {
       this.qt2 = null;
-      data.action = 'BREAK_CLIP_QT2';
+      action = 'BREAK_CLIP_MIDPOINT';
+      this.firePixels('midpoint');
     } else if (this.qt3 && currTime > this.qt3) {
       this.qt3 = null;
-      data.action = 'BREAK_CLIP_QT3';
+      action = 'BREAK_CLIP_THIRD_QUARTILE';
+      this.firePixels('thirdQuartile');
     } else {
       return;
     }
 
-    this.sendData(data);
+    this.sendData(this.getClipData(action));
   }
 
   /**
-   * Handle break clip started event. Sets up quartile ad tracking.
+   * Handle break clip started event. Sets up quartile ad tracking and the
+   * position of the clip within its break.
    * @param {cast.framework.events.EventType.BREAK_CLIP_STARTED} event
    */
   handleBreakClipStarted(event) {
-    let data = {};
     this.breakClipStarted = true;
+    this.breakClipEnded = false;
+    this.breakClipPaused = false;
     this.breakClipId = event.breakClipId;
     this.breakClipLength =
     this.breakManager.getBreakClipDurationSec();
     this.qt1 = this.breakClipLength / 4;
     this.qt2 = this.qt1 * 2;
     this.qt3 = this.qt1 * 3;
+    this.tracking = this.getClipTracking(this.breakClipId);
 
-    data.id = this.breakClipId;
-    data.action = event.type;
-    data.position = event.index;
-    data.length = this.breakClipLength;
+    // Fall back to the clips of the break when the event lacks the position.
+    const breakClipIds = this.getBreakClipIds(event.breakId || this.breakId);
+    this.breakClipPosition = event.index
+      || (breakClipIds.indexOf(this.breakClipId) + 1) || null;
+    this.breakClipCount = event.total || breakClipIds.length || null;
 
+    this.firePixels('impression');
+    this.firePixels('start');
 
+    let data = this.getClipData(event.type);
+    data.length = this.breakClipLength;
     this.sendData(data);
   }
 
   /**
-   * Handle break clip ended event. Resets quartile ad tracking.
+   * Handle break clip ended event. Reports whether the clip completed or was
+   * skipped, and resets quartile ad tracking.
    * @param {cast.framework.events.EventType.BREAK_CLIP_ENDED} event
    */
   handleBreakClipEnded(event) {
-    let data = {};
-    data.id = this.breakClipId;
+    let action = event.endedReason;
+    if (event.endedReason ==
+      cast.framework.events.EndedReason.END_OF_STREAM) {
+      action = 'BREAK_CLIP_COMPLETE';
+      this.firePixels('complete');
+    } else if (event.endedReason ==
+      cast.framework.events.EndedReason.SKIPPED) {
+      action = 'BREAK_CLIP_SKIPPED';
+      this.firePixels('skip');
+    }
+
+    let data = this.getClipData(action);
+    data.endedReason = event.endedReason;
     this.breakClipStarted = false;
+    this.breakClipEnded = true;
+    this.breakClipPaused = false;
     this.breakClipLength = null;
+    this.breakClipPosition = null;
+    this.breakClipCount = null;
     this.breakClipId = null;
     this.qt1 = null;
     this.qt2 = null;
     this.qt3 = null;
+    this.tracking = null;
 
-    data.action = event.endedReason;
     this.sendData(data);
   }
 
@@ -243,8 +392,103 @@ class AdsTracker extends Tracker {
     this.sendData(data);
     this.breakId = null;
     this.breakStarted = false;
+    this.breakEnded = true;
+  }
+
+  /**
+   * Handle pause event. Reports the clip being paused.
+   * @param {cast.framework.events.EventType.PAUSE} event
+   */
+  handlePause(event) {
+    if (!this.breakClipStarted || this.breakClipPaused) {
+      return;
+    }
+
+    this.breakClipPaused = true;
+    this.firePixels('pause');
+    this.sendData(this.getClipData('BREAK_CLIP_PAUSED'));
   }
 
+  /**
+   * Handle play event. Reports a paused clip being resumed.
+   * @param {cast.framework.events.EventType.PLAY} event
+   */
+  handlePlay(event) {
+    if (!this.breakClipStarted || !this.breakClipPaused) {
+      return;
+    }
+
+    this.breakClipPaused = false;
+    this.firePixels('resume');
+    this.sendData(this.getClipData('BREAK_CLIP_RESUMED'));
+  }
+
+  /**
+   * Reports a click-through on the playing clip, e.g. when the viewer follows
+   * the ad's link from a sender, and fires its click tracking pixels.
+   * @return {?string} The clickThroughUrl of the clip, if any.
+   */
+  clickThrough() {
+    if (!this.breakClipStarted) {
+      return null;
+    }
+
+    const breakClip = this.breakManager.getBreakClipById(this.breakClipId);
+    const url = (breakClip && breakClip.clickThroughUrl) || null;
+    this.firePixels('clickTracking');
+
+    let data = this.getClipData('BREAK_CLIP_CLICK_THROUGH');
+    data.url = url;
+    this.sendData(data);
+    return url;
+  }
+
+  /**
+   * Collects the context of the playing clip for its events.
+   * @param {string} action
+   * @return {!Object}
+   */
+  getClipData(action) {
+    return {
+      action: action,
+      id: this.breakClipId,
+      breakId: this.breakId,
+      position: this.breakClipPosition,
+      count: this.breakClipCount
+    };
+  }
+
+  /**
+   * Obtains the IDs of the clips of a break.
+   * @param {?string} breakId
+   * @return {!Array<string>}
+   */
+  getBreakClipIds(breakId) {
+    const adBreak = breakId && this.breakManager.getBreakById(breakId);
+    return (adBreak && adBreak.breakClipIds) || [];
+  }
+
+  /**
+   * Obtains the tracking URLs of a break clip, as set by AdTagLoader or
+   * BreakScheduler.
+   * @param {string} breakClipId
+   * @return {?Object<string, !Array<string>>} URLs keyed by VAST event name.
+   */
+  getClipTracking(breakClipId) {
+    const breakClip = this.breakManager.getBreakClipById(breakClipId);
+    return (breakClip && breakClip.customData
+      && breakClip.customData.tracking) || null;
+  }
+
+  /**
+   * Fires the tracking pixels of the current break clip for an event.
+   * @param {string} event VAST tracking event name.
+   */
+  firePixels(event) {
+    if (this.tracking) {
+      fireTrackingPixels(this.tracking[event]);
+    }
+  }
 
   /**
    * Sends the event data to respective analytics agents.
@@ -252,7 +496,7 @@ class AdsTracker extends Tracker {
    * @override
    */
   sendData(data) {
-    ga('send', 'event', this.type, data.action, data.id);
+    this.publish(data.action, data.id, data);
   }
 }
 
@@ -260,15 +504,42 @@ class AdsTracker extends Tracker {
 /**
  * Tracker that handles profiling the types of senders interacting with the
  * receiver. Each sender type is mapped to its senderId through the regular
- * expressions stored in this object.
+ * expressions stored in this object, after the configurable sender rules.
+ * A rule names the type it assigns and any of:
+ *
+ *   {
+ *     "type": "OUR_ANDROID_APP",
+ *     "packageName": "com.example.lessons",
+ *     "appId": "com.example.lessons.ios",
+ *     "senderId": "^__touch_controls__$",
+ *     "userAgent": "iPhone"
+ *   }
+ *
+ * where packageName matches the Android package in the senderId, appId an
+ * app identifier in the senderId or a `<appId>/<version>` product in the
+ * user agent, and senderId and userAgent are regular expressions. Every field
+ * given must match, and the first matching rule wins. User agents are only
+ * known for senders seen through SENDER_CONNECTED.
+ *
+ * Every newly seen sender is reported, OTHER_SENDER included, along with the
+ * number of senders of its type so far, and a SENDER_SUMMARY of the counts per
+ * type is sent when the receiver shuts down.
  */
 class SenderTracker extends Tracker {
-  constructor() {
-    super("sender");
+  /**
+   * @param {AnalyticsSink=} sink
+   * @param {!Array<!Object>=} rules Sender rules checked before the
+   *     built-in sender types.
+   */
+  constructor(sink, rules = []) {
+    super("sender", sink);
     this.senders = {};
+    this.senderTypeCounts = {};
+    this.rules = rules.slice();
     this.castEventTypes = [
       CastEventType.REQUEST,
-      CastEventType.SENDER_CONNECTED
+      CastEventType.SENDER_CONNECTED,
+      CastEventType.SHUTDOWN
     ];
 
     this.SenderIdRegex = {
@@ -281,38 +552,66 @@ class SenderTracker extends Tracker {
         + "[A-Z0-9]{4}-[A-Z0-9]{12}$",
       ANDROID_SENDER: "^[a-z0-9]{8}-[a-z0-9]{4}-[a-z0-9]{4}-"
         + "[a-z0-9]{4}-[a-z0-9]{12}\.[0-9]+\:"
-        + "(com.google.sample.cast.refplayer)-[0-9]+$"
+        + "([A-Za-z0-9_]+(\\.[A-Za-z0-9_]+)+)-[0-9]+$"
     }
   }
 
+  /**
+   * Adds a sender rule, checked after the rules already configured.
+   * @param {!Object} rule
+   */
+  addRule(rule) {
+    this.rules.push(rule);
+  }
+
   /**
    * Handles the incoming registered event for sender requests and sender
    * connected events. Each unique sender id is added as a key to the tracker
    * instance's sender property. The event data is sent when a senderId is
    * registered for the first time.
    * @param {cast.framework.events.category.REQUEST|
-   *     cast.framework.system.EventType.SENDER_CONNECTED} event
+   *     cast.framework.system.EventType.SENDER_CONNECTED|
+   *     cast.framework.system.EventType.SHUTDOWN} event
    * @override
    */
   handleEvent(event) {
+    if (event.type == CastEventType.SHUTDOWN.event) {
+      this.sendData({
+        action: "SENDER_SUMMARY",
+        senderTypeCounts: Object.assign({}, this.senderTypeCounts)
+      });
+      return;
+    }
+
     // Map the event senderId to its senderType if not already registered.
-    if (!this.senders[event.senderId]) {
-      this.senders[event.senderId] = this.getSenderType(event.senderId);
+    if (event.senderId && !this.senders[event.senderId]) {
+      const senderType = this.getSenderType(event.senderId, event.userAgent);
+      this.senders[event.senderId] = senderType;
+      this.senderTypeCounts[senderType] =
+        (this.senderTypeCounts[senderType] || 0) + 1;
+
       let data = {};
       data.action = "SENDER_CONNECTED";
-      data.senderType = this.senders[event.senderId];
-      if (data.senderType !== "OTHER_SENDER") {
-        this.sendData(data);
-      }
+      data.senderType = senderType;
+      data.count = this.senderTypeCounts[senderType];
+      this.sendData(data);
     }
   }
 
   /**
-   * Obtains the senderType based on the senderId REGEX defined in this class.
+   * Obtains the senderType from the sender rules, or else the senderId REGEX
+   * defined in this class.
    * @param {string} senderId The sender identifier to be categorized.
+   * @param {string=} userAgent The user agent of the sender, if known.
    * @return {string} The sender type identified.
    */
-  getSenderType(senderId) {
+  getSenderType(senderId, userAgent) {
+    const rule = this.rules.find((rule) =>
+      SenderTracker.matchesRule(rule, senderId, userAgent));
+    if (rule) {
+      return rule.type;
+    }
+
     let senderType = null;
     Object.entries(this.SenderIdRegex).forEach(([currType, regex]) => {
       if (RegExp(regex).test(senderId)) {
@@ -323,13 +622,39 @@ class SenderTracker extends Tracker {
     return senderType || "OTHER_SENDER";
   }
 
+  /**
+   * Whether a sender satisfies every criterion of a sender rule.
+   * @param {!Object} rule
+   * @param {string} senderId
+   * @param {string=} userAgent
+   * @return {boolean}
+   */
+  static matchesRule(rule, senderId, userAgent) {
+    const checks = [];
+    if (rule.senderId) {
+      checks.push(RegExp(rule.senderId).test(senderId));
+    }
+    if (rule.packageName) {
+      checks.push(RegExp(`:${escapeRegExp(rule.packageName)}-[0-9]+$`)
+        .test(senderId));
+    }
+    if (rule.appId) {
+      checks.push(senderId.includes(rule.appId)
+        || (!!userAgent && userAgent.includes(`${rule.appId}/`)));
+    }
+    if (rule.userAgent) {
+      checks.push(!!userAgent && RegExp(rule.userAgent, 'i').test(userAgent));
+    }
+    return checks.length > 0 && checks.every((check) => check);
+  }
+
   /**
    * Sends the event data to respective analytics agents.
    * @param  {Object} data
    * @override
    */
   sendData(data) {
-    ga('send', 'event', this.type, data.action, data.senderType);
+    this.publish(data.action, data.senderType || data.action, data);
   }
 }
 
@@ -337,11 +662,13 @@ class SenderTracker extends Tracker {
 /**
  * Tracker that determines if the loaded content is suggested by the queue or
  * selected by the user. Detection requires that the loaded media to have
- * customData with the property isSuggested.
+ * customData with the property isSuggested. It also reports whether playback
+ * resumed from the watch history, which WatchHistory notes in the customData
+ * property resumedFrom.
  */
 class ContentTracker extends Tracker {
-  constructor() {
-    super("content");
+  constructor(sink) {
+    super("content", sink);
     this.castEventTypes = [
       CastEventType.PLAYER_LOAD_COMPLETE,
     ];
@@ -369,6 +696,360 @@ class ContentTracker extends Tracker {
       || event.media.contentId
       || event.media.contentUrl;
     this.sendData(data);
+
+    // Report whether the content resumed from the watch history.
+    this.sendData({
+      action: event.media.customData
+        && event.media.customData.resumedFrom != null
+        ? "RESUMED_CONTENT" : "FRESH_CONTENT",
+      id: data.id
+    });
+  }
+
+  /**
+   * Sends the event data to respective analytics agents.
+   * @param  {Object} data
+   * @override
+   */
+  sendData(data) {
+    this.publish(data.action, data.id, data);
+  }
+}
+
+
+/**
+ * Tracker that measures the quality of experience of each playback: the time
+ * to first frame from the load request, rebuffering, bitrate switches,
+ * dropped frames and fatal errors. Rebuffers and the first frame are reported
+ * as they happen, and a PLAYBACK_SUMMARY is sent when the playback finishes,
+ * another one is loaded or the receiver shuts down. Waiting caused by seeks
+ * does not count as rebuffering.
+ */
+class QualityTracker extends Tracker {
+  constructor(sink) {
+    super("quality", sink);
+    this.playback = null;
+    this.castEventTypes = [
+      CastEventType.REQUEST_LOAD,
+      CastEventType.PLAYER_LOADING,
+      CastEventType.PLAYER_LOAD_COMPLETE,
+      CastEventType.PLAYING,
+      CastEventType.WAITING,
+      CastEventType.SEEKING,
+      CastEventType.SEEKED,
+      CastEventType.BITRATE_CHANGED,
+      CastEventType.ERROR_PLAYER_MANAGER,
+      CastEventType.MEDIA_FINISHED,
+      CastEventType.SHUTDOWN
+    ];
+  }
+
+  /**
+   * Dispatches the registered events to their handlers.
+   * @param {cast.framework.events.Event|cast.framework.system.Event} event
+   * @override
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case CastEventType.REQUEST_LOAD.event:
+        this.startPlayback(QualityTracker.getRequestId(event.requestData));
+        break;
+      case CastEventType.PLAYER_LOADING.event:
+        // Queue items load without a request; time them from here.
+        if (!this.playback || this.playback.firstFrameTime != null) {
+          this.startPlayback(event.media && (event.media.entity
+            || event.media.contentId || event.media.contentUrl));
+        }
+        break;
+      case CastEventType.PLAYER_LOAD_COMPLETE.event:
+        if (this.playback) {
+          this.playback.loaded = true;
+        }
+        break;
+      case CastEventType.PLAYING.event:
+        this.handlePlaying();
+        break;
+      case CastEventType.WAITING.event:
+        this.handleWaiting();
+        break;
+      case CastEventType.SEEKING.event:
+        if (this.playback) {
+          this.playback.seeking = true;
+        }
+        break;
+      case CastEventType.SEEKED.event:
+        if (this.playback) {
+          this.playback.seeking = false;
+        }
+        break;
+      case CastEventType.BITRATE_CHANGED.event:
+        this.handleBitrateChanged(event);
+        break;
+      case CastEventType.ERROR_PLAYER_MANAGER.event:
+        this.handleError(event);
+        break;
+      case CastEventType.MEDIA_FINISHED.event:
+        // Until the playback loads, this is the end of the media it replaced,
+        // already summarized when the load was requested.
+        if (this.playback && this.playback.loaded) {
+          this.endPlayback(event.endedReason);
+        }
+        break;
+      case CastEventType.SHUTDOWN.event:
+        this.endPlayback('SHUTDOWN');
+        break;
+    }
+  }
+
+  /**
+   * Obtains the ID of the content a load request is made for.
+   * @param {cast.framework.messages.LoadRequestData} requestData
+   * @return {string|undefined}
+   */
+  static getRequestId(requestData) {
+    const media = requestData && requestData.media;
+    return media
+      ? media.entity || media.contentId || media.contentUrl : undefined;
+  }
+
+  /**
+   * Starts measuring a new playback, summarizing the previous one.
+   * @param {string|undefined} id ID of the loaded content.
+   */
+  startPlayback(id) {
+    this.endPlayback('INTERRUPTED');
+    this.playback = {
+      id: id,
+      loadTime: Date.now(),
+      loaded: false,
+      firstFrameTime: null,
+      seeking: false,
+      rebufferStartTime: null,
+      rebufferCount: 0,
+      rebufferDuration: 0,
+      bitrate: null,
+      bitrateSwitches: 0,
+      fatalErrors: 0
+    };
+  }
+
+  /**
+   * Reports the time to first frame, or the end of a rebuffer.
+   */
+  handlePlaying() {
+    const playback = this.playback;
+    if (!playback) {
+      return;
+    }
+
+    const now = Date.now();
+    if (playback.firstFrameTime == null) {
+      playback.firstFrameTime = now;
+      this.sendData({
+        action: 'TIME_TO_FIRST_FRAME',
+        id: playback.id,
+        value: now - playback.loadTime
+      });
+    } else if (playback.rebufferStartTime != null) {
+      const duration = now - playback.rebufferStartTime;
+      playback.rebufferDuration += duration;
+      playback.rebufferStartTime = null;
+      this.sendData({ action: 'REBUFFER', id: playback.id, value: duration });
+    }
+  }
+
+  /**
+   * Starts timing a rebuffer when playback stalls outside of seeks.
+   */
+  handleWaiting() {
+    const playback = this.playback;
+    if (playback && playback.firstFrameTime != null && !playback.seeking
+      && playback.rebufferStartTime == null) {
+      playback.rebufferStartTime = Date.now();
+      playback.rebufferCount++;
+    }
+  }
+
+  /**
+   * Counts and reports switches between bitrates.
+   * @param {cast.framework.events.BitrateChangedEvent} event
+   */
+  handleBitrateChanged(event) {
+    const playback = this.playback;
+    if (!playback) {
+      return;
+    }
+
+    if (playback.bitrate != null && playback.bitrate != event.totalBitrate) {
+      playback.bitrateSwitches++;
+      this.sendData({
+        action: 'BITRATE_SWITCH',
+        id: playback.id,
+        from: playback.bitrate,
+        to: event.totalBitrate
+      });
+    }
+    playback.bitrate = event.totalBitrate;
+  }
+
+  /**
+   * Counts and reports the errors that stop playback.
+   * @param {cast.framework.events.ErrorEvent} event
+   */
+  handleError(event) {
+    if (event.severity != cast.framework.events.ErrorSeverity.CRITICAL) {
+      return;
+    }
+
+    if (this.playback) {
+      this.playback.fatalErrors++;
+    }
+    this.sendData({
+      action: 'FATAL_ERROR',
+      id: this.playback && this.playback.id,
+      detailedErrorCode: event.detailedErrorCode,
+      reason: event.reason
+    });
+  }
+
+  /**
+   * Sends the summary of the current playback, including the frame counts of
+   * the player's stats.
+   * @param {string} endedReason
+   */
+  endPlayback(endedReason) {
+    const playback = this.playback;
+    if (!playback) {
+      return;
+    }
+    this.playback = null;
+
+    const now = Date.now();
+    if (playback.rebufferStartTime != null) {
+      playback.rebufferDuration += now - playback.rebufferStartTime;
+    }
+    const stats = this.playerManager.getStats() || {};
+
+    this.sendData({
+      action: 'PLAYBACK_SUMMARY',
+      id: playback.id,
+      endedReason: endedReason,
+      timeToFirstFrame: playback.firstFrameTime != null
+        ? playback.firstFrameTime - playback.loadTime : null,
+      rebufferCount: playback.rebufferCount,
+      rebufferDuration: playback.rebufferDuration,
+      bitrateSwitches: playback.bitrateSwitches,
+      droppedFrames: stats.droppedFrames,
+      decodedFrames: stats.decodedFrames,
+      fatalErrors: playback.fatalErrors
+    });
+  }
+
+  /**
+   * Sends the event data to respective analytics agents.
+   * @param  {Object} data
+   * @override
+   */
+  sendData(data) {
+    this.publish(data.action, data.id, data);
+  }
+}
+
+/**
+ * Tracker that keeps the receiver session up to date with the senders that
+ * connect, the items played with their watch time and the ads shown, and
+ * sends a SESSION_SUMMARY when the receiver shuts down. Watch time only counts
+ * content playback; breaks and seeks are left out.
+ */
+class SessionTracker extends Tracker {
+  /*
+   * Longest gap between time updates, in seconds, counted as playback.
+   */
+  static MAX_TIME_UPDATE_GAP_SEC = 2;
+
+  /**
+   * @param {!ReceiverSession} session
+   * @param {function(string, string=): string} getSenderType Maps a senderId
+   *     and user agent to a sender type.
+   * @param {AnalyticsSink=} sink
+   */
+  constructor(session, getSenderType, sink) {
+    super("session", sink);
+    this.session = session;
+    this.getSenderType = getSenderType;
+    this.inBreak = false;
+    this.lastMediaTime = null;
+    this.castEventTypes = [
+      CastEventType.SENDER_CONNECTED,
+      CastEventType.SENDER_DISCONNECTED,
+      CastEventType.PLAYER_LOAD_COMPLETE,
+      CastEventType.TIME_UPDATE,
+      CastEventType.BREAK_STARTED,
+      CastEventType.BREAK_ENDED,
+      CastEventType.BREAK_CLIP_STARTED,
+      CastEventType.MEDIA_FINISHED,
+      CastEventType.SHUTDOWN
+    ];
+  }
+
+  /**
+   * Updates the session from the registered events.
+   * @param {cast.framework.events.Event|cast.framework.system.Event} event
+   * @override
+   */
+  handleEvent(event) {
+    switch (event.type) {
+      case CastEventType.SENDER_CONNECTED.event:
+        this.session.addSender(event.senderId,
+          this.getSenderType(event.senderId, event.userAgent));
+        break;
+      case CastEventType.SENDER_DISCONNECTED.event:
+        this.session.removeSender(event.senderId);
+        break;
+      case CastEventType.PLAYER_LOAD_COMPLETE.event:
+        this.lastMediaTime = null;
+        this.session.startItem(event.media.entity || event.media.contentId
+          || event.media.contentUrl, !!(event.media.customData
+          && event.media.customData.isSuggested));
+        break;
+      case CastEventType.TIME_UPDATE.event:
+        this.handleTimeUpdate(event);
+        break;
+      case CastEventType.BREAK_STARTED.event:
+        this.inBreak = true;
+        break;
+      case CastEventType.BREAK_ENDED.event:
+        this.inBreak = false;
+        this.lastMediaTime = null;
+        break;
+      case CastEventType.BREAK_CLIP_STARTED.event:
+        this.session.addAd(event.breakId, event.breakClipId);
+        break;
+      case CastEventType.MEDIA_FINISHED.event:
+        this.session.endItem(event.endedReason);
+        break;
+      case CastEventType.SHUTDOWN.event:
+        this.session.end();
+        this.sendData(Object.assign({ action: 'SESSION_SUMMARY' },
+          this.session.getSummary()));
+        break;
+    }
+  }
+
+  /**
+   * Adds the time played since the previous update to the current item.
+   * Larger gaps come from seeks rather than playback.
+   * @param {cast.framework.events.MediaElementEvent} event
+   */
+  handleTimeUpdate(event) {
+    const mediaTime = event.currentMediaTime;
+    if (!this.inBreak && this.lastMediaTime != null) {
+      const delta = mediaTime - this.lastMediaTime;
+      if (delta > 0 && delta <= SessionTracker.MAX_TIME_UPDATE_GAP_SEC) {
+        this.session.addWatchTime(delta);
+      }
+    }
+    this.lastMediaTime = this.inBreak ? null : mediaTime;
   }
 
   /**
@@ -377,8 +1058,15 @@ class ContentTracker extends Tracker {
    * @override
    */
   sendData(data) {
-    ga('send', 'event', this.type, data.action, data.id);
+    this.publish(data.action, data.id, data);
   }
 }
 
-export { AdsTracker, SenderTracker, ContentTracker };
+export {
+  Tracker,
+  AdsTracker,
+  SenderTracker,
+  ContentTracker,
+  QualityTracker,
+  SessionTracker
+};
@@ -0,0 +1,303 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+import { MediaError, MediaErrorType, fetchWithTimeout }
+  from './media_errors.js';
+
+/**
+ * @fileoverview Content catalog backends used by MediaFetcher. Each provider
+ * resolves media IDs to catalog entries with the same shape as the entries in
+ * the sample content.json, so the rest of the receiver does not need to know
+ * where the catalog is hosted.
+ */
+
+/*
+ * Time to wait for a catalog response before giving up on the request.
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Enumeration of the supported catalog backends.
+ */
+const CatalogProviderType = {
+  JSON: 'json',
+  REST: 'rest',
+  MANIFEST: 'manifest'
+};
+
+/**
+ * Template for catalog backends. Extending classes must implement
+ * fetchCatalog() and may override fetchItem() when the backend can look up a
+ * single entry more cheaply than downloading the whole catalog.
+ */
+class CatalogProvider {
+  /**
+   * Whether the backend can look up a single entry without listing the whole
+   * catalog.
+   * @return {boolean}
+   */
+  hasItemEndpoint() {
+    return false;
+  }
+
+  /**
+   * Obtains every entry of the catalog.
+   * @return {Promise<Object<string, Object>|MediaError>} Catalog entries
+   *     keyed by their ID.
+   */
+  fetchCatalog() {
+    return Promise.reject(new MediaError(MediaErrorType.UNKNOWN,
+      'fetchCatalog() is not implemented.'));
+  }
+
+  /**
+   * Obtains a single entry of the catalog.
+   * @param {string} id Entity or ID that contains a key to the media.
+   * @return {Promise<Object|MediaError>} The catalog entry of the desired
+   *     media.
+   */
+  fetchItem(id) {
+    return this.fetchCatalog()
+    .then((catalog) => {
+      if (!catalog[id]) {
+        return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+          `${id} not found in repository.`));
+      }
+      return catalog[id];
+    });
+  }
+}
+
+/**
+ * Reads the catalog from a single JSON file mapping IDs to entries, such as
+ * the sample content.json on storage.googleapis.com.
+ */
+class StaticJsonCatalogProvider extends CatalogProvider {
+  /**
+   * @param {string} url Location of the JSON catalog.
+   * @param {number=} timeoutMs Time to wait for the catalog.
+   */
+  constructor(url, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    super();
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @override
+   */
+  fetchCatalog() {
+    return fetchJson(this.url, this.timeoutMs)
+    .then((obj) => {
+      if (!obj) {
+        return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+          'Content repository not found.'));
+      }
+      return obj;
+    });
+  }
+}
+
+/**
+ * Reads the catalog from a paginated REST endpoint. Single entries are read
+ * from `<url>/<id>`. The catalog listing is read page by page from
+ * `<url>?<pageParam>=<n>`, where every page is an object with an `items` array
+ * and, when more pages follow, either a `next` URL or a `nextPage` number.
+ */
+class RestCatalogProvider extends CatalogProvider {
+  /**
+   * @param {string} url Base URL of the catalog collection.
+   * @param {Object=} options
+   * @param {string=} options.pageParam Query parameter holding the page number.
+   * @param {string=} options.idField Field holding the ID of each item.
+   * @param {number=} options.maxPages Upper bound of pages read per listing.
+   * @param {number=} options.timeoutMs Time to wait for each response.
+   */
+  constructor(url, options = {}) {
+    super();
+    this.url = url.replace(/\/+$/, '');
+    this.pageParam = options.pageParam || 'page';
+    this.idField = options.idField || 'id';
+    this.maxPages = options.maxPages || 50;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * @override
+   */
+  fetchCatalog() {
+    const catalog = {};
+    const readPage = (pageUrl, pageCount) => {
+      return fetchJson(pageUrl, this.timeoutMs)
+      .then((page) => {
+        if (!page) {
+          return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+            `Catalog page ${pageUrl} not found.`));
+        }
+        if (!Array.isArray(page.items)) {
+          return Promise.reject(new MediaError(MediaErrorType.PARSE,
+            `Malformed catalog page at ${pageUrl}.`));
+        }
+
+        page.items.forEach((item) => {
+          catalog[item[this.idField]] = item;
+        });
+
+        let nextUrl = null;
+        if (page.next) {
+          nextUrl = new URL(page.next, pageUrl).toString();
+        } else if (page.nextPage != null) {
+          nextUrl = this.getPageUrl(page.nextPage);
+        }
+
+        if (nextUrl && pageCount < this.maxPages) {
+          return readPage(nextUrl, pageCount + 1);
+        }
+        return catalog;
+      });
+    };
+
+    return readPage(this.getPageUrl(1), 1);
+  }
+
+  /**
+   * @override
+   */
+  hasItemEndpoint() {
+    return true;
+  }
+
+  /**
+   * @override
+   */
+  fetchItem(id) {
+    return fetchJson(`${this.url}/${encodeURIComponent(id)}`, this.timeoutMs)
+    .then((item) => {
+      if (!item) {
+        return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+          `${id} not found in repository.`));
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Builds the URL of a page of the catalog listing.
+   * @param {number} page The page number.
+   * @return {string}
+   */
+  getPageUrl(page) {
+    const url = new URL(this.url, window.location.href);
+    url.searchParams.set(this.pageParam, page);
+    return url.toString();
+  }
+}
+
+/**
+ * Reads the catalog from a manifest embedded in the receiver page, either as
+ * an object or as the JSON content of a
+ * `<script type="application/json">` element. Useful as a local stand-in for
+ * the remote catalog during development and tests.
+ */
+class ManifestCatalogProvider extends CatalogProvider {
+  /**
+   * @param {Object|string} manifest The catalog object, or the ID of the
+   *     element that holds it as JSON.
+   */
+  constructor(manifest) {
+    super();
+    this.manifest = manifest;
+  }
+
+  /**
+   * @override
+   */
+  fetchCatalog() {
+    if (typeof this.manifest != 'string') {
+      return Promise.resolve(this.manifest || {});
+    }
+
+    const element = document.getElementById(this.manifest);
+    if (!element) {
+      return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+        `Catalog manifest #${this.manifest} not found.`));
+    }
+
+    try {
+      return Promise.resolve(JSON.parse(element.textContent));
+    } catch (e) {
+      return Promise.reject(new MediaError(MediaErrorType.PARSE,
+        `Catalog manifest #${this.manifest} is not JSON.`));
+    }
+  }
+}
+
+/**
+ * Fetches and parses a JSON document.
+ * @param {string} url
+ * @param {number} timeoutMs Time to wait for the response.
+ * @return {Promise<?Object|MediaError>} The parsed document, or null when the
+ *     server responds with 404.
+ */
+function fetchJson(url, timeoutMs) {
+  return fetchWithTimeout(url, timeoutMs, (response) => {
+    if (response.status == 404) {
+      return null;
+    }
+    if (!response.ok) {
+      return Promise.reject(new MediaError(MediaErrorType.NETWORK,
+        `Request to ${url} failed with status ${response.status}.`));
+    }
+    return response.json()
+    .catch(() => Promise.reject(new MediaError(MediaErrorType.PARSE,
+      `Response from ${url} is not valid JSON.`)));
+  });
+}
+
+/**
+ * Creates the catalog provider described by the given configuration.
+ * @param {Object} config
+ * @param {string} config.type One of CatalogProviderType.
+ * @param {string=} config.url Catalog location for the JSON and REST types.
+ * @param {Object|string=} config.manifest Manifest object or element ID for
+ *     the MANIFEST type.
+ * @param {number=} config.timeoutMs Request timeout for the JSON and REST
+ *     types.
+ * @return {!CatalogProvider}
+ */
+function createCatalogProvider(config) {
+  switch (config.type) {
+    case CatalogProviderType.JSON:
+      return new StaticJsonCatalogProvider(config.url, config.timeoutMs);
+    case CatalogProviderType.REST:
+      return new RestCatalogProvider(config.url, config);
+    case CatalogProviderType.MANIFEST:
+      return new ManifestCatalogProvider(config.manifest);
+    default:
+      throw new Error(`Unrecognized catalog provider type: ${config.type}`);
+  }
+}
+
+export {
+  CatalogProviderType,
+  CatalogProvider,
+  StaticJsonCatalogProvider,
+  RestCatalogProvider,
+  ManifestCatalogProvider,
+  createCatalogProvider
+};
@@ -0,0 +1,152 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * @fileoverview Typed errors raised while resolving media for a LOAD request
+ * and their mapping to the ErrorData returned to the sender.
+ */
+
+/**
+ * Enumeration of the ways resolving media can fail.
+ */
+const MediaErrorType = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  NETWORK: 'NETWORK',
+  PARSE: 'PARSE',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  TIMEOUT: 'TIMEOUT',
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Error raised by the catalog and media fetching modules.
+ */
+class MediaError extends Error {
+  /**
+   * @param {string} type One of MediaErrorType.
+   * @param {string} message Human readable description, also sent to senders.
+   */
+  constructor(type, message) {
+    super(message);
+    this.name = 'MediaError';
+    this.type = type;
+  }
+
+  /**
+   * Wraps any rejection value in a MediaError.
+   * @param {*} error
+   * @return {!MediaError}
+   */
+  static from(error) {
+    if (error instanceof MediaError) {
+      return error;
+    }
+    return new MediaError(MediaErrorType.UNKNOWN,
+      (error && error.message) || String(error));
+  }
+
+  /**
+   * Creates the LOAD_FAILED ErrorData describing this error. The error type
+   * and message are passed to the sender in the ErrorData's customData.
+   * @return {!cast.framework.messages.ErrorData}
+   */
+  toErrorData() {
+    const ErrorReason = cast.framework.messages.ErrorReason;
+    const DetailedErrorCode = cast.framework.events.DetailedErrorCode;
+    let reason;
+    let detailedErrorCode;
+
+    switch (this.type) {
+      case MediaErrorType.INVALID_REQUEST:
+        reason = ErrorReason.INVALID_REQUEST;
+        detailedErrorCode = DetailedErrorCode.LOAD_FAILED;
+        break;
+      case MediaErrorType.NOT_FOUND:
+        reason = ErrorReason.INVALID_PARAMS;
+        detailedErrorCode = DetailedErrorCode.LOAD_FAILED;
+        break;
+      case MediaErrorType.NETWORK:
+      case MediaErrorType.TIMEOUT:
+        reason = ErrorReason.GENERIC_LOAD_ERROR;
+        detailedErrorCode = DetailedErrorCode.NETWORK_UNKNOWN;
+        break;
+      case MediaErrorType.PARSE:
+        reason = ErrorReason.GENERIC_LOAD_ERROR;
+        detailedErrorCode = DetailedErrorCode.APP;
+        break;
+      case MediaErrorType.UNSUPPORTED_TYPE:
+        reason = ErrorReason.NOT_SUPPORTED;
+        detailedErrorCode = DetailedErrorCode.MEDIA_SRC_NOT_SUPPORTED;
+        break;
+      default:
+        reason = ErrorReason.GENERIC_LOAD_ERROR;
+        detailedErrorCode = DetailedErrorCode.GENERIC;
+    }
+
+    const error = new cast.framework.messages.ErrorData(
+      cast.framework.messages.ErrorType.LOAD_FAILED);
+    error.reason = reason;
+    error.detailedErrorCode = detailedErrorCode;
+    error.customData = {
+      errorType: this.type,
+      message: this.message
+    };
+    return error;
+  }
+}
+
+/**
+ * Fetches a URL and reads the response, rejecting with a TIMEOUT MediaError
+ * when the response, body included, is not read in time and with a NETWORK
+ * MediaError when the request cannot be made.
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @param {function(!Response): *=} readResponse Reads the response, e.g. its
+ *     body, under the timeout. Resolves with the response by default.
+ * @return {!Promise}
+ */
+function fetchWithTimeout(url, timeoutMs,
+    readResponse = (response) => response) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  return fetch(url, { signal: controller.signal })
+  .then(readResponse, (error) => {
+    if (controller.signal.aborted) {
+      return Promise.reject(error);
+    }
+    return Promise.reject(new MediaError(MediaErrorType.NETWORK,
+      `Request to ${url} failed: ${error && error.message}`));
+  })
+  .catch((error) => {
+    // Aborting fails the request or the body read, however it is reported.
+    if (controller.signal.aborted) {
+      return Promise.reject(new MediaError(MediaErrorType.TIMEOUT,
+        `Request to ${url} timed out after ${timeoutMs} ms.`));
+    }
+    return Promise.reject(error);
+  })
+  .finally(() => clearTimeout(timeoutId));
+}
+
+export {
+  MediaErrorType,
+  MediaError,
+  fetchWithTimeout
+};
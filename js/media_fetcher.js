@@ -16,63 +16,284 @@ limitations under the License.
 
 'use_strict';
 
+import { StaticJsonCatalogProvider } from './catalog_providers.js';
+import { MetadataMapper } from './metadata_mapper.js';
+import { MediaError, MediaErrorType } from './media_errors.js';
+
 /**
- * Fetches assets from the sample content repository.
+ * In-memory cache for catalog lookups. Values expire once their time to live
+ * has passed, and concurrent lookups of the same key share a single pending
+ * request instead of each hitting the backend.
+ */
+class CatalogCache {
+  /**
+   * @param {number} ttlMs How long a loaded value stays valid.
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Returns the value cached under the key when it has not expired.
+   * @param {string} key
+   * @return {*|undefined}
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+    this.entries.delete(key);
+    return undefined;
+  }
+
+  /**
+   * Returns the value cached under the key, loading it when it is missing or
+   * expired. Loads that fail are not cached.
+   * @param {string} key
+   * @param {function(): !Promise} loader Loads the value from the backend.
+   * @return {!Promise}
+   */
+  get(key, loader) {
+    const value = this.peek(key);
+    if (value !== undefined) {
+      return Promise.resolve(value);
+    }
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const request = loader()
+    .then((loaded) => {
+      // Ignore results of requests started before the cache was cleared.
+      if (this.pending.get(key) === request) {
+        this.entries.set(key, {
+          value: loaded,
+          expiresAt: Date.now() + this.ttlMs
+        });
+      }
+      return loaded;
+    })
+    .finally(() => {
+      if (this.pending.get(key) === request) {
+        this.pending.delete(key);
+      }
+    });
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Drops every cached value and forgets pending requests.
+   */
+  clear() {
+    this.entries.clear();
+    this.pending.clear();
+  }
+}
+
+/**
+ * Fetches assets from the configured content catalog. The sample content
+ * repository is used unless another CatalogProvider is set at startup.
  */
 class MediaFetcher {
   static CONTENT_URL =
     'https://storage.googleapis.com/cpe-sample-media/content.json';
 
+  /*
+   * Time a fetched catalog or catalog entry is reused before being requested
+   * again.
+   */
+  static CACHE_TTL_MS = 5 * 60 * 1000;
+
+  static CATALOG_CACHE_KEY = 'catalog';
+
+  /*
+   * Stream renditions a catalog entry may offer, in order of preference.
+   * Formats without a contentType derive it from the URL's file extension.
+   */
+  static STREAM_FORMATS = [
+    { key: 'dash', contentType: 'application/dash+xml' },
+    { key: 'hls', contentType: 'application/x-mpegurl' },
+    { key: 'mp4', contentType: null },
+    { key: 'audio', contentType: null }
+  ];
+
+  /*
+   * MIME types of the media file extensions the receiver knows about.
+   */
+  static CONTENT_TYPES = {
+    mpd: 'application/dash+xml',
+    m3u8: 'application/x-mpegurl',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    wav: 'audio/wav',
+    flac: 'audio/flac'
+  };
+
+  static provider = new StaticJsonCatalogProvider(MediaFetcher.CONTENT_URL);
+
+  static cache = new CatalogCache(MediaFetcher.CACHE_TTL_MS);
+
+  /**
+   * Sets the catalog backend used to resolve media IDs. Entries cached from
+   * the previous backend are dropped.
+   * @param {!CatalogProvider} provider
+   */
+  static setProvider(provider) {
+    MediaFetcher.provider = provider;
+    MediaFetcher.cache.clear();
+  }
+
+  /**
+   * Obtains every entry of the configured catalog. The catalog is cached for
+   * CACHE_TTL_MS and concurrent calls share one request.
+   * @return {Promise<Object<string, Object>|MediaError>} Catalog entries
+   *     keyed by their ID.
+   */
+  static fetchCatalog() {
+    return MediaFetcher.cache.get(MediaFetcher.CATALOG_CACHE_KEY,
+      () => MediaFetcher.provider.fetchCatalog());
+  }
+
+  /**
+   * Drops every cached catalog entry and downloads the catalog again.
+   * @return {Promise<Object<string, Object>|MediaError>} The refreshed
+   *     catalog.
+   */
+  static refresh() {
+    MediaFetcher.cache.clear();
+    return MediaFetcher.fetchCatalog();
+  }
+
   /**
-   * Obtains the media's details from a remote repository.
+   * Obtains the media's details from the configured catalog. Entries are
+   * served from the cached catalog when available, otherwise they are looked
+   * up through the backend's item endpoint or by fetching the catalog.
    * @param  {string} Entity or ID that contains a key to the media in the
-   *     JSON hosted by CONTENT_URL.
-   * @return {Promise<Object|string>} Contains the media information of the
-   *     desired entity.
+   *     catalog.
+   * @return {Promise<Object|MediaError>} Contains the media information of
+   *     the desired entity.
    */
   static fetchMediaById(id) {
-    return new Promise((accept, reject) => {
-      fetch(MediaFetcher.CONTENT_URL)
-      .then((response) => response.json())
+    const catalog = MediaFetcher.cache.peek(MediaFetcher.CATALOG_CACHE_KEY);
+    if (catalog || !MediaFetcher.provider.hasItemEndpoint()) {
+      return (catalog ? Promise.resolve(catalog) : MediaFetcher.fetchCatalog())
       .then((obj) => {
-        if (obj) {
-          if (obj[id]) {
-            accept(obj[id]);
-          }
-          else {
-            reject(`${id} not found in repository.`);
-          }
-        }
-        else {
-          reject('Content repository not found.');
+        if (!obj[id]) {
+          return Promise.reject(new MediaError(MediaErrorType.NOT_FOUND,
+            `${id} not found in repository.`));
         }
+        return obj[id];
       });
-    });
+    }
+
+    return MediaFetcher.cache.get(`item:${id}`,
+      () => MediaFetcher.provider.fetchItem(id));
   }
 
   /**
-   * Fetches a media item from the remote repository and creates a DASH stream
-   * MediaInformation object from it.
+   * Fetches a media item from the configured catalog and creates a
+   * MediaInformation object from it, using the best stream the entry offers
+   * that the device can play. Metadata, artwork and text tracks are mapped by
+   * MetadataMapper.
    * @param {String} Entity or ID that contains a key to the media in the
-   *     JSON hosted by CONTENT_URL.
-   * @return {Promise<cast.framework.messages.MediaInformation|string>} The
-   *     MediaInformation object when fetched successfully.
+   *     catalog.
+   * @return {Promise<cast.framework.messages.MediaInformation|MediaError>}
+   *     The MediaInformation object when fetched successfully.
    */
   static fetchMediaInformationById(id) {
     return MediaFetcher.fetchMediaById(id)
     .then((item) => {
+      let stream = MediaFetcher.selectStream(item);
+      if (!stream) {
+        return Promise.reject(new MediaError(MediaErrorType.UNSUPPORTED_TYPE,
+          `${id} has no stream supported by this device.`));
+      }
+
       let mediaInfo = new cast.framework.messages.MediaInformation();
-      let metadata = new cast.framework.messages.GenericMediaMetadata();
 
-      metadata.title = item.title;
-      metadata.subtitle = item.description;
-      mediaInfo.contentUrl = item.stream.dash;
-      mediaInfo.contentType = 'application/dash+xml';
-      mediaInfo.metadata = metadata;
+      MetadataMapper.apply(mediaInfo, item, id);
+      mediaInfo.contentUrl = stream.url;
+      mediaInfo.contentType = stream.contentType;
+      mediaInfo.streamType = (item.live || (item.stream && item.stream.live))
+        ? cast.framework.messages.StreamType.LIVE
+        : cast.framework.messages.StreamType.BUFFERED;
+      if (stream.format == 'hls') {
+        MediaFetcher.setHlsSegmentFormat(mediaInfo, item.stream);
+      }
 
       return mediaInfo;
     });
   }
+
+  /**
+   * Picks the rendition of a catalog entry to play. Renditions are tried in
+   * the order of STREAM_FORMATS and the first one the device reports it can
+   * display is returned. The `mp4` and `audio` renditions may be a single URL
+   * or a list of alternative URLs, e.g. an MP3 and an Ogg version of a clip.
+   * @param {Object} item Catalog entry with a `stream` object.
+   * @return {?{format: string, url: string, contentType: string}} The chosen
+   *     rendition, or null when none is playable.
+   */
+  static selectStream(item) {
+    if (!item || !item.stream) {
+      return null;
+    }
+
+    const context = cast.framework.CastReceiverContext.getInstance();
+    for (const format of MediaFetcher.STREAM_FORMATS) {
+      const urls = [].concat(item.stream[format.key] || []);
+      for (const url of urls) {
+        const contentType = format.contentType
+          || MediaFetcher.getContentTypeForUrl(url);
+        if (contentType && context.canDisplayType(contentType)) {
+          return { format: format.key, url: url, contentType: contentType };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Infers the MIME type of a media URL from its file extension.
+   * @param {string} url
+   * @return {?string} The MIME type, or null for unknown extensions.
+   */
+  static getContentTypeForUrl(url) {
+    const match = /\.([a-z0-9]+)$/i.exec(new URL(url, window.location.href)
+      .pathname);
+    return (match && MediaFetcher.CONTENT_TYPES[match[1].toLowerCase()])
+      || null;
+  }
+
+  /**
+   * Sets the HLS segment formats of the media from the `hlsSegmentFormat`
+   * field of a catalog stream. Transport stream segments are assumed when the
+   * entry does not specify a format.
+   * @param {cast.framework.messages.MediaInformation} mediaInfo
+   * @param {Object} stream The `stream` object of the catalog entry.
+   */
+  static setHlsSegmentFormat(mediaInfo, stream) {
+    const format = (stream.hlsSegmentFormat || 'ts').toUpperCase();
+    mediaInfo.hlsSegmentFormat =
+      cast.framework.messages.HlsSegmentFormat[format]
+      || cast.framework.messages.HlsSegmentFormat.TS;
+    if (format == 'FMP4') {
+      mediaInfo.hlsVideoSegmentFormat =
+        cast.framework.messages.HlsVideoSegmentFormat.FMP4;
+    }
+  }
 }
 
 export {
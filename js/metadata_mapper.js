@@ -0,0 +1,183 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Maps catalog entries to the metadata, artwork, duration, text tracks and
+ * customData of a MediaInformation object. The metadata class is chosen by the
+ * entry's `type` field: `movie`, `episode` (or `tv`), `music` (or `audio`);
+ * any other value produces GenericMediaMetadata.
+ */
+class MetadataMapper {
+  /*
+   * MIME types of the supported text track file extensions. WebVTT is assumed
+   * for unknown extensions.
+   */
+  static TEXT_TRACK_CONTENT_TYPES = {
+    vtt: 'text/vtt',
+    ttml: 'application/ttml+xml',
+    dfxp: 'application/ttml+xml',
+    xml: 'application/ttml+xml'
+  };
+
+  /**
+   * Copies everything the receiver can use from a catalog entry onto a
+   * MediaInformation object.
+   * @param {cast.framework.messages.MediaInformation} mediaInfo The target
+   *     MediaInformation, modified in place.
+   * @param {Object} item The catalog entry.
+   * @param {string} id The catalog ID of the entry.
+   */
+  static apply(mediaInfo, item, id) {
+    mediaInfo.contentId = id;
+    mediaInfo.metadata = MetadataMapper.createMetadata(item);
+
+    if (item.duration > 0) {
+      mediaInfo.duration = Number(item.duration);
+    }
+
+    const tracks = MetadataMapper.createTextTracks(item);
+    if (tracks.length) {
+      mediaInfo.tracks = tracks;
+    }
+
+    mediaInfo.customData = Object.assign({}, item.customData,
+      { catalogId: id });
+  }
+
+  /**
+   * Creates the metadata object matching the entry's type.
+   * @param {Object} item The catalog entry.
+   * @return {!cast.framework.messages.MediaMetadata}
+   */
+  static createMetadata(item) {
+    const messages = cast.framework.messages;
+    let metadata;
+
+    switch (item.type) {
+      case 'movie':
+        metadata = new messages.MovieMediaMetadata();
+        metadata.subtitle = item.description;
+        metadata.studio = item.studio || item.author;
+        metadata.releaseDate = item.releaseDate;
+        break;
+      case 'episode':
+      case 'tv':
+        metadata = new messages.TvShowMediaMetadata();
+        metadata.seriesTitle = item.seriesTitle || item.series;
+        metadata.season = item.season;
+        metadata.episode = item.episode;
+        metadata.originalAirdate = item.originalAirdate || item.releaseDate;
+        break;
+      case 'music':
+      case 'audio':
+        metadata = new messages.MusicTrackMediaMetadata();
+        metadata.artist = item.artist || item.author;
+        metadata.albumName = item.albumName || item.album;
+        metadata.albumArtist = item.albumArtist;
+        metadata.composer = item.composer;
+        metadata.trackNumber = item.trackNumber;
+        metadata.discNumber = item.discNumber;
+        metadata.releaseDate = item.releaseDate;
+        break;
+      default:
+        metadata = new messages.GenericMediaMetadata();
+        metadata.subtitle = item.description;
+        metadata.releaseDate = item.releaseDate;
+    }
+
+    metadata.title = item.title;
+    const images = MetadataMapper.createImages(item);
+    if (images.length) {
+      metadata.images = images;
+    }
+    return metadata;
+  }
+
+  /**
+   * Collects the artwork of an entry. Images may be listed in an `images`
+   * array, either as URLs or as objects with `url`, `width` and `height`, and
+   * in the `poster` and `thumbnail` fields.
+   * @param {Object} item The catalog entry.
+   * @return {!Array<cast.framework.messages.Image>}
+   */
+  static createImages(item) {
+    const sources = [].concat(item.images || [], item.poster || [],
+      item.thumbnail || []);
+    const seen = new Set();
+
+    return sources.reduce((images, source) => {
+      const url = typeof source == 'string' ? source : source && source.url;
+      if (url && !seen.has(url)) {
+        seen.add(url);
+        const image = new cast.framework.messages.Image(url);
+        if (source.width) image.width = source.width;
+        if (source.height) image.height = source.height;
+        images.push(image);
+      }
+      return images;
+    }, []);
+  }
+
+  /**
+   * Creates the side-loaded text tracks of an entry from its `captions` and
+   * `subtitles` lists. Each track is an object with `url`, `language` and an
+   * optional `name`.
+   * @param {Object} item The catalog entry.
+   * @return {!Array<cast.framework.messages.Track>}
+   */
+  static createTextTracks(item) {
+    const messages = cast.framework.messages;
+    const tracks = [];
+    const addTracks = (entries, subtype) => {
+      (entries || []).forEach((entry) => {
+        if (!entry || !entry.url) {
+          return;
+        }
+        const track = new messages.Track(tracks.length + 1,
+          messages.TrackType.TEXT);
+        track.trackContentId = entry.url;
+        track.trackContentType = entry.contentType
+          || MetadataMapper.getTextTrackContentType(entry.url);
+        track.subtype = subtype;
+        track.language = entry.language;
+        track.name = entry.name || entry.language;
+        tracks.push(track);
+      });
+    };
+
+    addTracks(item.captions, messages.TextTrackType.CAPTIONS);
+    addTracks(item.subtitles, messages.TextTrackType.SUBTITLES);
+    return tracks;
+  }
+
+  /**
+   * Infers the MIME type of a text track from its file extension.
+   * @param {string} url
+   * @return {string}
+   */
+  static getTextTrackContentType(url) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+    return (match
+      && MetadataMapper.TEXT_TRACK_CONTENT_TYPES[match[1].toLowerCase()])
+      || MetadataMapper.TEXT_TRACK_CONTENT_TYPES.vtt;
+  }
+}
+
+export {
+  MetadataMapper
+};
@@ -17,6 +17,8 @@ limitations under the License.
 'use strict';
 
 import { MediaFetcher } from './media_fetcher.js';
+import { Direction, Recommender } from './recommender.js';
+import { MediaError, MediaErrorType } from './media_errors.js';
 
 /*
  * Set up Debug Logger constants and instance.
@@ -32,40 +34,194 @@ if (!castDebugLogger.loggerLevelByTags) {
 castDebugLogger.loggerLevelByTags[LOG_QUEUE_TAG] =
   cast.framework.LoggerLevel.INFO;
 
+/*
+ * Constant to be used for extracting catalog IDs from entity URLs.
+ */
+const ID_REGEX = '\/?([^\/]+)\/?$';
+
+const RepeatMode = cast.framework.messages.RepeatMode;
+
+/**
+ * Returns a copy of the array in random order.
+ * @param {!Array} array
+ * @return {!Array}
+ */
+function shuffled(array) {
+  const copy = array.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
 /**
  * Custom implementation of the cast receiver queue. The class overrides
  * several QueueBase methods to provide extended queueing functionality such as
- * providing next and previous items in the media queue. Items are populated by
- * fetching them from a backend repository with sample assets.
+ * providing next and previous items in the media queue. Items are suggested by
+ * the Recommender from the neighbours of the reference item in the catalog.
+ *
+ * Loading a playlist, i.e. a catalog entry with an `items` array of IDs,
+ * queues all of its items. Playlists and load requests may set a `repeatMode`
+ * (one of cast.framework.messages.RepeatMode) and `shuffle`; the load
+ * request's customData takes precedence over the playlist entry.
  */
 class CastQueue extends cast.framework.QueueBase {
+  /*
+   * Number of suggestions added whenever the queue runs out of items.
+   */
+  static MAX_SUGGESTIONS = 3;
+
+  /*
+   * Suggestions stop once the queue holds this many items.
+   */
+  static MAX_QUEUE_LENGTH = 20;
+
   constructor() {
     super();
+    this.repeatMode = RepeatMode.REPEAT_OFF;
+    this.shuffle = false;
   }
 
   /**
   * Initializes the queue.
   * @param {!cast.framework.messages.LoadRequestData} loadRequestData
-  * @return {!cast.framework.messages.QueueData}
+  * @return {!cast.framework.messages.QueueData|
+  *     !Promise<!cast.framework.messages.QueueData>}
   * @override
   */
   initialize(loadRequestData) {
     if (loadRequestData) {
       let queueData = loadRequestData.queueData;
+      const customData = loadRequestData.customData || {};
 
-      // Create a new queue with media from load request if one doesn't exist.
-      if (!queueData || !queueData.items || !queueData.items.length) {
-        castDebugLogger.info(LOG_QUEUE_TAG,
-          'Creating a new queue with media from the load request');
-        queueData = new cast.framework.messages.QueueData();
-        let item = new cast.framework.messages.QueueItem();
-        item.media = loadRequestData.media;
-        queueData.items = [item];
+      // Keep the queue built by the sender along with its modes.
+      if (queueData && queueData.items && queueData.items.length) {
+        this.updateModes(queueData.repeatMode, queueData.shuffle);
+        return queueData;
+      }
+
+      if (customData.playlistId) {
+        return this.expandPlaylist(loadRequestData, customData.playlistId);
       }
+
+      // Create a new queue with media from load request if one doesn't exist.
+      castDebugLogger.info(LOG_QUEUE_TAG,
+        'Creating a new queue with media from the load request');
+      this.updateModes(customData.repeatMode, customData.shuffle);
+      queueData = new cast.framework.messages.QueueData();
+      queueData.repeatMode = this.repeatMode;
+      let item = new cast.framework.messages.QueueItem();
+      item.media = loadRequestData.media;
+      queueData.items = [item];
       return queueData;
     }
  }
 
+  /**
+  * Resolves the catalog ID a load starts playing. Loading a playlist starts
+  * with its first item, or a random one when shuffled, and notes the playlist
+  * as `playlistId` in the load request's customData for initialize to queue
+  * the rest of it.
+  * @param {!cast.framework.messages.LoadRequestData} loadRequestData The
+  *     target LoadRequestData to be modified.
+  * @param {string} id ID of the loaded catalog entry.
+  * @return {!Promise<string>}
+  **/
+  static resolveStartId(loadRequestData, id) {
+    return MediaFetcher.fetchMediaById(id)
+    .then((entry) => {
+      if (!CastQueue.isPlaylist(entry)) {
+        return id;
+      }
+      if (!entry.items.length) {
+        throw new MediaError(MediaErrorType.NOT_FOUND,
+          `Playlist ${id} is empty.`);
+      }
+
+      const customData = loadRequestData.customData || {};
+      loadRequestData.customData = Object.assign({}, customData,
+        { playlistId: id });
+      const shuffle = CastQueue.isShuffled(customData, entry);
+      return shuffle
+        ? entry.items[Math.floor(Math.random() * entry.items.length)]
+        : entry.items[0];
+    });
+  }
+
+  /**
+  * Builds the queue of a playlist around the loaded media. The items keep the
+  * playlist order unless shuffled, in which case the loaded media comes first
+  * followed by the rest of the playlist in random order. Items that cannot be
+  * fetched are left out.
+  * @param {!cast.framework.messages.LoadRequestData} loadRequestData
+  * @param {string} playlistId
+  * @return {!Promise<!cast.framework.messages.QueueData>}
+  **/
+  expandPlaylist(loadRequestData, playlistId) {
+    const customData = loadRequestData.customData || {};
+    const startId = CastQueue.getCatalogId(loadRequestData.media);
+
+    return MediaFetcher.fetchMediaById(playlistId)
+    .then((playlist) => {
+      this.updateModes(customData.repeatMode || playlist.repeatMode,
+        CastQueue.isShuffled(customData, playlist));
+
+      let ids = playlist.items.filter((id) => id != startId);
+      if (this.shuffle) {
+        ids = [startId].concat(shuffled(ids));
+      } else {
+        const startIndex = playlist.items.indexOf(startId);
+        ids = startIndex < 0 ? [startId].concat(ids) : playlist.items;
+      }
+
+      castDebugLogger.info(LOG_QUEUE_TAG,
+        `Queueing playlist ${playlistId}: ${ids.join(', ')}`);
+      return Promise.all(ids.map((id) => {
+        return id == startId
+          ? loadRequestData.media
+          : MediaFetcher.fetchMediaInformationById(id).catch(() => null);
+      }))
+      .then((mediaInformations) => {
+        const queueData = new cast.framework.messages.QueueData();
+        queueData.entity = playlistId;
+        queueData.name = playlist.title;
+        queueData.queueType = cast.framework.messages.QueueType.PLAYLIST;
+        queueData.repeatMode = this.repeatMode;
+        queueData.items = mediaInformations
+        .filter((mediaInformation) => mediaInformation)
+        .map((mediaInformation) => {
+          let item = new cast.framework.messages.QueueItem();
+          item.media = mediaInformation;
+          return item;
+        });
+        queueData.startIndex = queueData.items.findIndex((item) =>
+          item.media == loadRequestData.media);
+        return queueData;
+      });
+    });
+  }
+
+  /**
+  * Records the repeat and shuffle modes of the queue, e.g. when the sender
+  * changes them with a QUEUE_UPDATE request. Omitted modes are left as is.
+  * @param {string|undefined} repeatMode One of RepeatMode.
+  * @param {boolean|undefined} shuffle
+  **/
+  updateModes(repeatMode, shuffle) {
+    if (Object.values(RepeatMode).includes(repeatMode)) {
+      this.repeatMode = repeatMode;
+    }
+    if (shuffle != null) {
+      this.shuffle = !!shuffle;
+    }
+    if (this.repeatMode == RepeatMode.REPEAT_ALL_AND_SHUFFLE) {
+      this.shuffle = true;
+    }
+    castDebugLogger.debug(LOG_QUEUE_TAG,
+      `Repeat mode ${this.repeatMode}, shuffle ${this.shuffle}`);
+  }
+
   /**
   * Picks a set of items after the reference item id and returns as the next
   * items to be inserted into the queue. When referenceItemId is omitted, items
@@ -75,14 +231,11 @@ class CastQueue extends cast.framework.QueueBase {
   * @override
   **/
   nextItems(referenceItemId) {
-    // Fetch and return sample content with populated metadata.
-    return MediaFetcher.fetchMediaInformationById('bbb')
-    .then(mediaInformation => {
-      let item = new cast.framework.messages.QueueItem();
-      item.media = mediaInformation;
-      item.media.customData = { "isSuggested": true };
-      return [item];
-    });
+    // Repeating queues loop back to their start instead of running out.
+    if (this.repeatMode != RepeatMode.REPEAT_OFF) {
+      return [];
+    }
+    return this.suggestItems(referenceItemId, Direction.NEXT);
   }
 
   /**
@@ -94,15 +247,119 @@ class CastQueue extends cast.framework.QueueBase {
   * @override
   **/
   prevItems(referenceItemId) {
-    // Fetch and return sample content with populated metadata.
-    return MediaFetcher.fetchMediaInformationById('ed')
-    .then(mediaInformation => {
-      let item = new cast.framework.messages.QueueItem();
-      item.media = mediaInformation;
-      item.media.customData = { "isSuggested": true };
-      return [item];
+    // Shuffled and repeating queues have no order to step back through.
+    if (this.shuffle || this.repeatMode != RepeatMode.REPEAT_OFF) {
+      return [];
+    }
+    return this.suggestItems(referenceItemId, Direction.PREV);
+  }
+
+  /**
+  * Fetches catalog neighbours of the reference item that are not queued yet,
+  * without growing the queue past MAX_QUEUE_LENGTH. When shuffling, the
+  * suggestions are picked at random among the neighbours.
+  * @param {number|undefined} referenceItemId
+  * @param {string} direction One of Direction.
+  * @return {!Promise<!Array<cast.framework.messages.QueueItem>>}
+  **/
+  suggestItems(referenceItemId, direction) {
+    const queueManager = cast.framework.CastReceiverContext.getInstance()
+      .getPlayerManager().getQueueManager();
+    const queuedItems = queueManager.getItems() || [];
+    const maxItems = Math.min(CastQueue.MAX_SUGGESTIONS,
+      CastQueue.MAX_QUEUE_LENGTH - queuedItems.length);
+
+    // Without a reference, extend the queue from its end or its beginning.
+    let reference = queuedItems.find((item) => item.itemId == referenceItemId);
+    if (!reference) {
+      reference = direction == Direction.NEXT
+        ? queuedItems[queuedItems.length - 1] : queuedItems[0];
+    }
+
+    const referenceId = reference && CastQueue.getCatalogId(reference.media);
+    if (!referenceId || maxItems <= 0) {
+      return Promise.resolve([]);
+    }
+
+    const queuedIds = queuedItems.map((item) =>
+      CastQueue.getCatalogId(item.media));
+    return MediaFetcher.fetchCatalog()
+    .then((catalog) => {
+      if (!this.shuffle) {
+        return Recommender.findNeighbours(catalog, referenceId, direction,
+          queuedIds, maxItems);
+      }
+      return shuffled(Recommender.findNeighbours(catalog, referenceId,
+        direction, queuedIds, CastQueue.MAX_QUEUE_LENGTH)).slice(0, maxItems);
+    })
+    .then((ids) => {
+      castDebugLogger.info(LOG_QUEUE_TAG,
+        `Suggesting ${direction} of ${referenceId}: ${ids.join(', ')}`);
+      return Promise.all(ids.map((id) => {
+        return MediaFetcher.fetchMediaInformationById(id)
+        .catch(() => null);
+      }));
+    })
+    .then((mediaInformations) => {
+      return mediaInformations
+      .filter((mediaInformation) => mediaInformation)
+      .map((mediaInformation) => {
+        let item = new cast.framework.messages.QueueItem();
+        item.media = mediaInformation;
+        item.media.customData = Object.assign({}, item.media.customData,
+          { "isSuggested": true });
+        return item;
+      });
+    })
+    .catch((error) => {
+      castDebugLogger.warn(LOG_QUEUE_TAG,
+        `No suggestions: ${error.message || error}`);
+      return [];
     });
   }
+
+  /**
+  * Whether a catalog entry is a playlist rather than playable media.
+  * @param {?Object} entry
+  * @return {boolean}
+  **/
+  static isPlaylist(entry) {
+    return !!entry && Array.isArray(entry.items);
+  }
+
+  /**
+  * Whether a load is shuffled, as asked by the load request's customData or
+  * else by the playlist entry.
+  * @param {!Object} customData
+  * @param {!Object} playlist
+  * @return {boolean}
+  **/
+  static isShuffled(customData, playlist) {
+    const repeatMode = customData.repeatMode || playlist.repeatMode;
+    if (repeatMode == RepeatMode.REPEAT_ALL_AND_SHUFFLE) {
+      return true;
+    }
+    return !!(customData.shuffle != null ? customData.shuffle
+      : playlist.shuffle);
+  }
+
+  /**
+  * Obtains the catalog ID of queued media, from the customData set by
+  * MetadataMapper or else from its entity or contentId.
+  * @param {?cast.framework.messages.MediaInformation} media
+  * @return {?string}
+  **/
+  static getCatalogId(media) {
+    if (!media) {
+      return null;
+    }
+    if (media.customData && media.customData.catalogId) {
+      return media.customData.catalogId;
+    }
+    const source = media.entity || media.contentId;
+    const match = source && source.match(ID_REGEX);
+    return match ? match[1] : null;
+  }
 };
 
 export {
@@ -19,7 +19,15 @@ limitations under the License.
 
 import { CastQueue } from './queuing.js';
 import { MediaFetcher } from './media_fetcher.js';
-import { AdsTracker, SenderTracker, ContentTracker } from './cast_analytics.js';
+import { CatalogProviderType, createCatalogProvider }
+  from './catalog_providers.js';
+import { MediaError, MediaErrorType } from './media_errors.js';
+import { BreakScheduler } from './break_scheduler.js';
+import { AdTagLoader } from './ad_tags.js';
+import { WatchHistory } from './watch_history.js';
+import { Tracker } from './cast_analytics.js';
+import { ReceiverSession } from './receiver_session.js';
+import { TrackerRegistry } from './tracker_registry.js';
 
 /**
  * @fileoverview This sample demonstrates how to build your own Web Receiver for
@@ -89,6 +97,32 @@ if (!castDebugLogger.loggerLevelByTags) {
 castDebugLogger.loggerLevelByTags[LOG_RECEIVER_TAG] =
   cast.framework.LoggerLevel.DEBUG;
 
+/*
+ * Select the content catalog used to resolve media IDs. The sample repository
+ * is used by default. Another backend can be chosen at startup through the
+ * page's query string, e.g. `?catalog=rest&catalogUrl=https://.../media` or
+ * `?catalog=manifest&manifest=catalog-manifest` to read an in-page
+ * `<script type="application/json" id="catalog-manifest">` element.
+ */
+const pageParams = new URLSearchParams(window.location.search);
+let catalogProvider;
+try {
+  catalogProvider = createCatalogProvider({
+    type: pageParams.get('catalog') || CatalogProviderType.JSON,
+    url: pageParams.get('catalogUrl') || MediaFetcher.CONTENT_URL,
+    manifest: pageParams.get('manifest') || 'catalog-manifest'
+  });
+} catch (error) {
+  // A misconfigured page should not keep the receiver from starting.
+  castDebugLogger.warn(LOG_RECEIVER_TAG,
+    `${error.message}; using the sample catalog instead.`);
+  catalogProvider = createCatalogProvider({
+    type: CatalogProviderType.JSON,
+    url: MediaFetcher.CONTENT_URL
+  });
+}
+MediaFetcher.setProvider(catalogProvider);
+
 /*
  * Example of how to listen for events on playerManager.
  */
@@ -104,47 +138,63 @@ playerManager.addEventListener(
 });
 
 /*
- * Example analytics tracking implementation. To enable this functionality see
- * the implmentation and complete the TODO item in ./google_analytics.js. Once
- * complete uncomment the the calls to startTracking below to enable each
- * Tracker.
- */
-const adTracker = new AdsTracker();
-const senderTracker = new SenderTracker();
-const contentTracker = new ContentTracker();
-// adTracker.startTracking();
-// senderTracker.startTracking();
-// contentTracker.startTracking();
+ * Example analytics tracking implementation. Trackers are configured by the
+ * JSON of an in-page `<script type="application/json" id="tracker-config">`
+ * element, see TrackerRegistry for its format, and can be turned on and off
+ * by a sender with a TRACKER_CONFIG message. Without a configuration only the
+ * ads tracker, which also fires the tracking pixels of VAST ads, and the
+ * session tracker, which provides the session context of every event, are
+ * enabled, publishing to the Google Analytics agent; complete the TODO item in
+ * ./google_analytics.js or configure another sink to use them.
+ */
+const receiverSession = new ReceiverSession();
+Tracker.setSession(receiverSession);
+
+const trackerRegistry = new TrackerRegistry(receiverSession);
+trackerRegistry.configure(TrackerRegistry.readConfig('tracker-config'));
+
+/*
+ * Remembers where content was left and resumes it on the next load.
+ */
+const watchHistory = new WatchHistory();
+watchHistory.attach(playerManager);
+
+/*
+ * Schedules ad breaks for loads whose catalog entry or load customData carries
+ * a break plan. See break_scheduler.js for the plan format.
+ */
+const breakScheduler = new BreakScheduler();
+breakScheduler.attach(playerManager);
 
 /**
- * Modifies the provided mediaInformation by adding a pre-roll break clip to it.
- * @param {cast.framework.messages.MediaInformation} mediaInformation The target
- * MediaInformation to be modified.
- * @return {Promise} An empty promise.
+ * Modifies the media of the load request by adding breaks to it. A VAST or
+ * VMAP ad tag in the load request's customData takes precedence over a break
+ * plan. Failing to load an ad tag does not fail the load.
+ * @param {cast.framework.messages.LoadRequestData} loadRequestData The target
+ * LoadRequestData to be modified.
+ * @param {?Object} item The catalog entry of the loaded media, if any.
+ * @return {Promise<cast.framework.messages.LoadRequestData>}
  */
-function addBreaks(mediaInformation) {
-  castDebugLogger.debug(LOG_RECEIVER_TAG, "addBreaks: " +
-    JSON.stringify(mediaInformation));
-  return MediaFetcher.fetchMediaById('fbb_ad')
-  .then((clip1) => {
-    mediaInformation.breakClips = [
-      {
-        id: 'fbb_ad',
-        title: clip1.title,
-        contentUrl: clip1.stream.dash,
-        contentType: 'application/dash+xml',
-        whenSkippable: 5
-      }
-    ];
+function addBreaks(loadRequestData, item) {
+  if (AdTagLoader.hasAdTag(loadRequestData.customData)) {
+    return AdTagLoader.addBreaks(loadRequestData.media,
+      loadRequestData.customData)
+    .catch((error) => {
+      castDebugLogger.warn(LOG_RECEIVER_TAG,
+        `Ignoring ad tag: ${error.message || error}`);
+    })
+    .then(() => loadRequestData);
+  }
 
-    mediaInformation.breaks = [
-      {
-        id: 'pre-roll',
-        breakClipIds: ['fbb_ad'],
-        position: 0
-      }
-    ];
-  });
+  const plan = BreakScheduler.resolvePlan(item, loadRequestData.customData);
+  if (!plan) {
+    return Promise.resolve(loadRequestData);
+  }
+
+  castDebugLogger.debug(LOG_RECEIVER_TAG, "addBreaks: " +
+    JSON.stringify(plan));
+  return breakScheduler.schedule(loadRequestData.media, plan)
+  .then(() => loadRequestData);
 }
 
 /*
@@ -157,10 +207,8 @@ playerManager.setMessageInterceptor(
 
     // If the loadRequestData is incomplete, return an error message.
     if (!loadRequestData || !loadRequestData.media) {
-      const error = new cast.framework.messages.ErrorData(
-        cast.framework.messages.ErrorType.LOAD_FAILED);
-      error.reason = cast.framework.messages.ErrorReason.INVALID_REQUEST;
-      return error;
+      return new MediaError(MediaErrorType.INVALID_REQUEST,
+        'Load request does not contain media.').toErrorData();
     }
 
     // Check all content source fields for the asset URL or ID.
@@ -169,17 +217,14 @@ playerManager.setMessageInterceptor(
 
     // If there is no source or a malformed ID then return an error.
     if (!source || source == "" || !source.match(ID_REGEX)) {
-      let error = new cast.framework.messages.ErrorData(
-        cast.framework.messages.ErrorType.LOAD_FAILED);
-      error.reason = cast.framework.messages.ErrorReason.INVALID_REQUEST;
-      return error;
+      return new MediaError(MediaErrorType.INVALID_REQUEST,
+        `Malformed media source: ${source}`).toErrorData();
     }
 
     let sourceId = source.match(ID_REGEX)[1];
 
-    // Optionally add breaks to the media information and set the contentUrl.
+    // Set the contentUrl and add the breaks planned for the media.
     return Promise.resolve()
-    // .then(() => addBreaks(loadRequestData.media)) // Uncomment to enable ads.
     .then(() => {
       // If the source is a url that points to an asset don't fetch from the
       // content repository.
@@ -187,23 +232,39 @@ playerManager.setMessageInterceptor(
         castDebugLogger.debug(LOG_RECEIVER_TAG,
           "Interceptor received full URL");
         loadRequestData.media.contentUrl = source;
-        return loadRequestData;
+        if (!loadRequestData.media.contentType) {
+          loadRequestData.media.contentType =
+            MediaFetcher.getContentTypeForUrl(source) || undefined;
+        }
+        return null;
       } else {
-        // Fetch the contentUrl if provided an ID or entity URL.
+        // Fetch the contentUrl if provided an ID or entity URL. Playlists
+        // start with one of their items.
         castDebugLogger.debug(LOG_RECEIVER_TAG, "Interceptor received ID");
-        return MediaFetcher.fetchMediaInformationById(sourceId)
+        return CastQueue.resolveStartId(loadRequestData, sourceId)
+        .then((startId) => {
+          sourceId = startId;
+          return MediaFetcher.fetchMediaInformationById(sourceId);
+        })
         .then((mediaInformation) => {
           loadRequestData.media = mediaInformation;
-          return loadRequestData;
+          return MediaFetcher.fetchMediaById(sourceId);
         })
       }
     })
-    .catch((errorMessage) => {
-      let error = new cast.framework.messages.ErrorData(
-        cast.framework.messages.ErrorType.LOAD_FAILED);
-      error.reason = cast.framework.messages.ErrorReason.INVALID_REQUEST;
-      castDebugLogger.error(LOG_RECEIVER_TAG, errorMessage);
-      return error;
+    .then((item) => addBreaks(loadRequestData, item))
+    .then(() => {
+      // Resume previously watched content where it was left.
+      watchHistory.beginLoad(loadRequestData,
+        sourceId.includes('.') ? source : sourceId);
+      return loadRequestData;
+    })
+    .catch((reason) => {
+      // Map the failure to an ErrorData the sender can act on.
+      let error = MediaError.from(reason);
+      castDebugLogger.error(LOG_RECEIVER_TAG,
+        `${error.type}: ${error.message}`);
+      return error.toErrorData();
     });
   }
 );
@@ -237,9 +298,38 @@ const CHANNEL = 'urn:x-cast:cast.unity.demo';
 
 context.addCustomMessageListener(CHANNEL, onMessageReceived);
 
-context.start();
+/*
+ * Start the receiver with the custom queue so autoplay suggestions come from
+ * the catalog.
+ */
+const castQueue = new CastQueue();
+
+/*
+ * Keep track of the repeat and shuffle modes set by the sender.
+ */
+playerManager.setMessageInterceptor(
+  cast.framework.messages.MessageType.QUEUE_UPDATE, queueUpdateRequestData => {
+    castQueue.updateModes(queueUpdateRequestData.repeatMode,
+      queueUpdateRequestData.shuffle);
+    return queueUpdateRequestData;
+  }
+);
+
+context.start({ queue: castQueue });
 
 function onMessageReceived(customEvent) {
+  // Senders report the viewer following the link of the playing ad.
+  if (customEvent.data.type == 'AD_CLICK_THROUGH') {
+    trackerRegistry.get('ad').clickThrough();
+    return;
+  }
+
+  // Senders can turn trackers on and off at runtime.
+  if (customEvent.data.type == 'TRACKER_CONFIG') {
+    trackerRegistry.configureFromSender(customEvent.data.config);
+    return;
+  }
+
   document.getElementById('cast-media-player').setAttribute("data-content", `${customEvent.data.message}`);
   castDebugLogger.info(LOG_RECEIVER_TAG, `Message received. ${customEvent.data.message}`);
 }
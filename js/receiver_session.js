@@ -0,0 +1,193 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use_strict';
+
+/**
+ * Model of a receiver session, from the receiver starting to its shutdown:
+ * the senders that connected, the items played with their watch time, and
+ * the ads shown. SessionTracker keeps it up to date, and trackers attach its
+ * context to every event they publish.
+ */
+class ReceiverSession {
+  constructor() {
+    this.id = ReceiverSession.createId();
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.senders = {};
+    this.items = [];
+    this.ads = [];
+  }
+
+  /**
+   * Generates a random session ID.
+   * @return {string}
+   */
+  static createId() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-`
+      + Math.random().toString(36).slice(2, 10);
+  }
+
+  /**
+   * Records a connected sender.
+   * @param {string} senderId
+   * @param {string} senderType
+   */
+  addSender(senderId, senderType) {
+    if (!this.senders[senderId]) {
+      this.senders[senderId] = {
+        type: senderType,
+        connectTime: Date.now(),
+        disconnectTime: null
+      };
+    }
+  }
+
+  /**
+   * Records a sender disconnecting.
+   * @param {string} senderId
+   */
+  removeSender(senderId) {
+    if (this.senders[senderId]) {
+      this.senders[senderId].disconnectTime = Date.now();
+    }
+  }
+
+  /**
+   * Records an item starting to play.
+   * @param {string} id ID of the content.
+   * @param {boolean} suggested Whether the queue suggested the item.
+   */
+  startItem(id, suggested) {
+    this.items.push({
+      id: id,
+      suggested: suggested,
+      startTime: Date.now(),
+      watchTime: 0,
+      endedReason: null
+    });
+  }
+
+  /**
+   * Adds playback time to the current item.
+   * @param {number} seconds
+   */
+  addWatchTime(seconds) {
+    const item = this.getCurrentItem();
+    if (item) {
+      item.watchTime += seconds;
+    }
+  }
+
+  /**
+   * Records why the current item stopped playing.
+   * @param {string} endedReason
+   */
+  endItem(endedReason) {
+    const item = this.getCurrentItem();
+    if (item && !item.endedReason) {
+      item.endedReason = endedReason;
+    }
+  }
+
+  /**
+   * Records a break clip being shown.
+   * @param {string} breakId
+   * @param {string} breakClipId
+   */
+  addAd(breakId, breakClipId) {
+    const item = this.getCurrentItem();
+    this.ads.push({
+      breakId: breakId,
+      breakClipId: breakClipId,
+      itemId: item ? item.id : null
+    });
+  }
+
+  /**
+   * Marks the end of the session.
+   */
+  end() {
+    if (this.endTime == null) {
+      this.endTime = Date.now();
+      this.endItem('SHUTDOWN');
+    }
+  }
+
+  /**
+   * @return {?Object} The item playing or last played.
+   */
+  getCurrentItem() {
+    return this.items[this.items.length - 1] || null;
+  }
+
+  /**
+   * @return {!Array<string>} Distinct types of the connected senders.
+   */
+  getSenderTypes() {
+    return Array.from(new Set(Object.values(this.senders)
+      .map((sender) => sender.type)));
+  }
+
+  /**
+   * Context attached to every tracker event.
+   * @return {!Object}
+   */
+  getContext() {
+    const item = this.getCurrentItem();
+    return {
+      id: this.id,
+      startTime: this.startTime,
+      senderTypes: this.getSenderTypes(),
+      itemIndex: this.items.length - 1,
+      itemId: item ? item.id : null
+    };
+  }
+
+  /**
+   * Summary of the whole session.
+   * @return {!Object}
+   */
+  getSummary() {
+    const endTime = this.endTime != null ? this.endTime : Date.now();
+    return {
+      id: this.id,
+      startTime: this.startTime,
+      endTime: endTime,
+      duration: (endTime - this.startTime) / 1000,
+      senderTypes: this.getSenderTypes(),
+      senderCount: Object.keys(this.senders).length,
+      items: this.items.map((item) => ({
+        id: item.id,
+        suggested: item.suggested,
+        watchTime: Math.round(item.watchTime),
+        endedReason: item.endedReason
+      })),
+      watchTime: Math.round(this.items.reduce((total, item) =>
+        total + item.watchTime, 0)),
+      adCount: this.ads.length,
+      adBreakCount: new Set(this.ads.map((ad) =>
+        `${ad.itemId}|${ad.breakId}`)).size
+    };
+  }
+}
+
+export {
+  ReceiverSession
+};
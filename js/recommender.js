@@ -0,0 +1,166 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Enumeration of the directions neighbours are looked up in.
+ */
+const Direction = {
+  NEXT: 'next',
+  PREV: 'prev'
+};
+
+/**
+ * Computes the catalog entries to suggest before or after a given entry.
+ * Candidates are gathered, in order of relevance, from:
+ *   - the entry's series, ordered by `season` and `episode`;
+ *   - playlists containing the entry, i.e. catalog entries whose `items`
+ *     array lists its ID;
+ *   - the entry's `related` list of IDs (next only);
+ *   - other entries sharing its `tags`, most shared tags first (next only).
+ * Previous items are only taken from series and playlists since related and
+ * tagged content has no order to step back through.
+ */
+class Recommender {
+  /**
+   * @param {!Object<string, Object>} catalog Catalog entries keyed by ID.
+   * @param {string} referenceId ID of the entry to find neighbours for.
+   * @param {string} direction One of Direction.
+   * @param {!Array<string>} excludeIds IDs that must not be suggested, such
+   *     as the ones already queued.
+   * @param {number} maxItems Maximum number of IDs returned.
+   * @return {!Array<string>} Suggested IDs, nearest first.
+   */
+  static findNeighbours(catalog, referenceId, direction, excludeIds,
+    maxItems) {
+    const reference = catalog[referenceId];
+    if (!reference || maxItems <= 0) {
+      return [];
+    }
+
+    let candidates = Recommender.seriesNeighbours(catalog, referenceId,
+      direction).concat(Recommender.playlistNeighbours(catalog, referenceId,
+      direction));
+    if (direction == Direction.NEXT) {
+      candidates = candidates.concat(reference.related || [],
+        Recommender.taggedEntries(catalog, referenceId));
+    }
+
+    const excluded = new Set(excludeIds.concat(referenceId));
+    const suggestions = [];
+    for (const id of candidates) {
+      if (suggestions.length >= maxItems) {
+        break;
+      }
+      if (!excluded.has(id) && Recommender.isPlayable(catalog[id])) {
+        excluded.add(id);
+        suggestions.push(id);
+      }
+    }
+    return suggestions;
+  }
+
+  /**
+   * Entries of the same series before or after the reference, nearest first.
+   * @param {!Object<string, Object>} catalog
+   * @param {string} referenceId
+   * @param {string} direction
+   * @return {!Array<string>}
+   */
+  static seriesNeighbours(catalog, referenceId, direction) {
+    const series = catalog[referenceId].series;
+    if (!series) {
+      return [];
+    }
+
+    const episodes = Object.keys(catalog)
+      .filter((id) => catalog[id].series == series)
+      .sort((a, b) => ((catalog[a].season || 0) - (catalog[b].season || 0))
+        || ((catalog[a].episode || 0) - (catalog[b].episode || 0)));
+    return Recommender.sliceAround(episodes, referenceId, direction);
+  }
+
+  /**
+   * Entries before or after the reference in the playlists containing it,
+   * nearest first.
+   * @param {!Object<string, Object>} catalog
+   * @param {string} referenceId
+   * @param {string} direction
+   * @return {!Array<string>}
+   */
+  static playlistNeighbours(catalog, referenceId, direction) {
+    return Object.values(catalog)
+      .filter((entry) => Array.isArray(entry.items)
+        && entry.items.includes(referenceId))
+      .reduce((ids, playlist) => ids.concat(Recommender.sliceAround(
+        playlist.items, referenceId, direction)), []);
+  }
+
+  /**
+   * Entries sharing tags with the reference, most shared tags first.
+   * @param {!Object<string, Object>} catalog
+   * @param {string} referenceId
+   * @return {!Array<string>}
+   */
+  static taggedEntries(catalog, referenceId) {
+    const tags = new Set(catalog[referenceId].tags || []);
+    if (!tags.size) {
+      return [];
+    }
+
+    return Object.keys(catalog)
+      .map((id) => ({
+        id: id,
+        score: (catalog[id].tags || []).filter((tag) => tags.has(tag)).length
+      }))
+      .filter((candidate) => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map((candidate) => candidate.id);
+  }
+
+  /**
+   * Items following or preceding the reference in an ordered list, nearest
+   * first.
+   * @param {!Array<string>} ids
+   * @param {string} referenceId
+   * @param {string} direction
+   * @return {!Array<string>}
+   */
+  static sliceAround(ids, referenceId, direction) {
+    const index = ids.indexOf(referenceId);
+    if (index < 0) {
+      return [];
+    }
+    return direction == Direction.NEXT
+      ? ids.slice(index + 1)
+      : ids.slice(0, index).reverse();
+  }
+
+  /**
+   * Whether an entry can be queued, as opposed to e.g. a playlist entry.
+   * @param {?Object} entry
+   * @return {boolean}
+   */
+  static isPlayable(entry) {
+    return !!entry && !!entry.stream;
+  }
+}
+
+export {
+  Direction,
+  Recommender
+};
@@ -0,0 +1,274 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use_strict';
+
+import { CastEventType } from './cast_event_types.js';
+import {
+  AdsTracker,
+  SenderTracker,
+  ContentTracker,
+  QualityTracker,
+  SessionTracker
+} from './cast_analytics.js';
+import { AnalyticsSink, createSink } from './agents/analytics_sinks.js';
+import { BatchingSink } from './agents/batching_sink.js';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_ANALYTICS_TAG = 'Analytics';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_ANALYTICS_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Owns the trackers of the receiver and turns them on and off from a JSON
+ * configuration, read at startup or delivered later by a sender:
+ *
+ *   {
+ *     "sampleRate": 0.5,
+ *     "sink": {"type": "ga4", "measurementId": "G-...", "apiSecret": "..."},
+ *     "batching": {"batchSize": 20},
+ *     "trackers": {
+ *       "ad": {"enabled": true},
+ *       "sender": {"enabled": true, "rules": [{"type": "OUR_APP", ...}]},
+ *       "content": {"enabled": false},
+ *       "quality": {"enabled": true, "sampleRate": 0.1,
+ *                   "events": ["REQUEST_LOAD", "PLAYING", "WAITING"]},
+ *       "session": {"enabled": true}
+ *     }
+ *   }
+ *
+ * Trackers are keyed by type. `events` narrows a tracker to some of its
+ * CastEventType entries and `sampleRate`, overall or per tracker, enables it
+ * for that fraction of receiver sessions; one draw is made per session so
+ * the samples of different trackers overlap. `sink` takes a createSink()
+ * configuration, and `batching` the options of the BatchingSink in front of
+ * it, or false to publish events right away.
+ *
+ * Senders may only turn trackers on and off and change their `sampleRate`
+ * and `events`; where the events go is up to the page.
+ *
+ * The ads and session trackers keep running when disabled, without
+ * publishing, since ads rely on the former for their tracking pixels and
+ * events on the latter for their session context.
+ */
+class TrackerRegistry {
+  static DEFAULT_CONFIG = {
+    sampleRate: 1,
+    sink: { type: 'ga' },
+    batching: {},
+    trackers: {
+      ad: { enabled: true },
+      session: { enabled: true }
+    }
+  };
+
+  /*
+   * Trackers that run whether or not they publish.
+   */
+  static ALWAYS_RUNNING = ['ad', 'session'];
+
+  /*
+   * Tracker settings a sender may change.
+   */
+  static SENDER_SETTINGS = ['enabled', 'sampleRate', 'events'];
+
+  /**
+   * @param {!ReceiverSession} session The session tracked by the session
+   *     tracker.
+   */
+  constructor(session) {
+    this.context = cast.framework.CastReceiverContext.getInstance();
+    this.sample = Math.random();
+    this.config = null;
+    this.sinkKey = null;
+    this.silentSink = new AnalyticsSink();
+
+    // Pending events are flushed to whichever sink is configured last.
+    this.batchingSink = new BatchingSink(this.silentSink);
+    this.batchingSink.attach(this.context);
+
+    const senderTracker = new SenderTracker(this.silentSink);
+    this.trackers = {};
+    [
+      new AdsTracker(this.silentSink),
+      senderTracker,
+      new ContentTracker(this.silentSink),
+      new QualityTracker(this.silentSink),
+      new SessionTracker(session, (senderId, userAgent) =>
+        senderTracker.getSenderType(senderId, userAgent), this.silentSink)
+    ].forEach((tracker) => {
+      this.trackers[tracker.type] = tracker;
+    });
+
+    this.defaultEventTypes = {};
+    Object.values(this.trackers).forEach((tracker) => {
+      this.defaultEventTypes[tracker.type] = tracker.castEventTypes.slice();
+    });
+  }
+
+  /**
+   * Reads a configuration from an in-page
+   * `<script type="application/json">` element.
+   * @param {string} elementId
+   * @return {?Object} The configuration, or null when there is none.
+   */
+  static readConfig(elementId) {
+    const element = document.getElementById(elementId);
+    if (!element) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (e) {
+      castDebugLogger.error(LOG_ANALYTICS_TAG,
+        `Invalid tracker configuration in #${elementId}: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Obtains a tracker by type.
+   * @param {string} type
+   * @return {?Tracker}
+   */
+  get(type) {
+    return this.trackers[type] || null;
+  }
+
+  /**
+   * Applies a configuration, starting, stopping and rewiring the trackers.
+   * An invalid configuration is rejected and the previous one kept.
+   * @param {?Object} config Missing settings are taken from DEFAULT_CONFIG.
+   * @return {boolean} Whether the configuration was applied.
+   */
+  configure(config) {
+    const merged = Object.assign({}, TrackerRegistry.DEFAULT_CONFIG, config);
+    let sink = null;
+    try {
+      Object.entries(merged.trackers || {}).forEach(([type, settings]) => {
+        if (!this.trackers[type]) {
+          throw new Error(`Unknown tracker: ${type}`);
+        }
+        (settings.events || []).forEach((name) => {
+          if (!CastEventType[name]) {
+            throw new Error(`Unknown CastEventType: ${name}`);
+          }
+        });
+      });
+      sink = this.getSink(merged);
+    } catch (e) {
+      castDebugLogger.error(LOG_ANALYTICS_TAG,
+        `Ignoring tracker configuration: ${e.message}`);
+      return false;
+    }
+
+    Object.values(this.trackers).forEach((tracker) => {
+      this.configureTracker(tracker, merged, sink);
+    });
+    this.config = merged;
+    return true;
+  }
+
+  /**
+   * Applies the settings of a sender configuration over the current one,
+   * ignoring those only the page may set.
+   * @param {?Object} config
+   * @return {boolean} Whether the configuration was applied.
+   */
+  configureFromSender(config) {
+    const current = this.config || TrackerRegistry.DEFAULT_CONFIG;
+    const trackers = Object.assign({}, current.trackers);
+    Object.entries((config && config.trackers) || {})
+    .forEach(([type, settings]) => {
+      const allowed = {};
+      TrackerRegistry.SENDER_SETTINGS.forEach((key) => {
+        if (settings && settings[key] !== undefined) {
+          allowed[key] = settings[key];
+        }
+      });
+      trackers[type] = Object.assign({}, trackers[type], allowed);
+    });
+
+    return this.configure(Object.assign({}, current, {
+      sampleRate: config && config.sampleRate != null
+        ? config.sampleRate : current.sampleRate,
+      trackers: trackers
+    }));
+  }
+
+  /**
+   * Builds the sink of a configuration. The sink is only rebuilt when its
+   * configuration changes.
+   * @param {!Object} config
+   * @return {!AnalyticsSink}
+   */
+  getSink(config) {
+    const sinkKey = JSON.stringify(config.sink);
+    if (sinkKey != this.sinkKey) {
+      this.batchingSink.sink = createSink(config.sink);
+      this.sinkKey = sinkKey;
+    }
+    if (config.batching === false) {
+      return this.batchingSink.sink;
+    }
+
+    this.batchingSink.options = Object.assign({},
+      BatchingSink.DEFAULT_OPTIONS, config.batching);
+    return this.batchingSink;
+  }
+
+  /**
+   * Starts or stops a tracker according to a configuration.
+   * @param {!Tracker} tracker
+   * @param {!Object} config
+   * @param {!AnalyticsSink} sink
+   */
+  configureTracker(tracker, config, sink) {
+    const settings = (config.trackers || {})[tracker.type] || {};
+    const sampleRate = settings.sampleRate != null
+      ? settings.sampleRate : config.sampleRate;
+    const enabled = !!settings.enabled && this.sample < sampleRate;
+
+    tracker.stopTracking();
+    tracker.sink = enabled ? sink : this.silentSink;
+    tracker.castEventTypes = enabled && settings.events
+      ? settings.events.map((name) => CastEventType[name])
+      : this.defaultEventTypes[tracker.type].slice();
+    if (tracker instanceof SenderTracker) {
+      tracker.rules = (settings.rules || []).slice();
+    }
+
+    if (enabled || TrackerRegistry.ALWAYS_RUNNING.includes(tracker.type)) {
+      tracker.startTracking();
+    }
+    castDebugLogger.info(LOG_ANALYTICS_TAG,
+      `${tracker.type} tracker ${enabled ? 'enabled' : 'disabled'}`);
+  }
+}
+
+export {
+  TrackerRegistry
+};
@@ -0,0 +1,52 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Replaces the VAST macros supported by the receiver in a tracking URL.
+ * @param {string} url
+ * @param {Object<string, string>=} macros Extra macro values keyed by name,
+ *     e.g. {ERRORCODE: '405'}.
+ * @return {string}
+ */
+function expandMacros(url, macros = {}) {
+  const values = Object.assign({
+    CACHEBUSTING: String(Math.floor(Math.random() * 1e8)).padStart(8, '0'),
+    TIMESTAMP: new Date().toISOString()
+  }, macros);
+
+  return url.replace(/\[([A-Z_]+)\]/g, (macro, name) => {
+    return values[name] != null ? encodeURIComponent(values[name]) : macro;
+  });
+}
+
+/**
+ * Requests each tracking URL as an image so the ad server can record the
+ * event. Responses are ignored.
+ * @param {Array<string>|undefined} urls
+ * @param {Object<string, string>=} macros Extra macro values.
+ */
+function fireTrackingPixels(urls, macros) {
+  (urls || []).forEach((url) => {
+    new Image().src = expandMacros(url, macros);
+  });
+}
+
+export {
+  expandMacros,
+  fireTrackingPixels
+};
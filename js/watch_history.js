@@ -0,0 +1,273 @@
+/**
+Copyright 2022 Google LLC. All Rights Reserved.
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+'use strict';
+
+/*
+ * Set up Debug Logger constants and instance.
+ */
+const LOG_HISTORY_TAG = 'History';
+const castDebugLogger = cast.debug.CastDebugLogger.getInstance();
+
+if (!castDebugLogger.loggerLevelByTags) {
+  castDebugLogger.loggerLevelByTags = {};
+}
+
+// Set verbosity level for custom tag.
+castDebugLogger.loggerLevelByTags[LOG_HISTORY_TAG] =
+  cast.framework.LoggerLevel.INFO;
+
+/**
+ * Obtains the local storage, or a store kept in memory where the page may not
+ * use local storage.
+ * @return {!Storage}
+ */
+function getDefaultStorage() {
+  try {
+    if (window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (e) {
+    // Reading localStorage throws where storage is blocked.
+  }
+  castDebugLogger.warn(LOG_HISTORY_TAG,
+    'Local storage is unavailable, the watch history is kept in memory');
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+/**
+ * Hashes a string with 32-bit FNV-1a, so secrets such as credentials can key
+ * entries without being stored.
+ * @param {string} value
+ * @return {string} The hash, in hexadecimal.
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Records playback progress per user and content ID in local storage and
+ * resumes previously watched content where it was left. Users are identified
+ * by the `userId` in the load request's customData, falling back to a hash
+ * of the request's credentials; loads without either share one history.
+ * Progress is recorded once the content is loaded, so that the end of the
+ * content it replaces is not recorded against it.
+ */
+class WatchHistory {
+  static STORAGE_KEY = 'castReceiver.watchHistory';
+
+  /*
+   * Number of entries kept; the least recently updated ones are dropped.
+   */
+  static MAX_ENTRIES = 200;
+
+  /*
+   * Playback progress, in seconds, between two writes to storage.
+   */
+  static SAVE_INTERVAL_SEC = 10;
+
+  /*
+   * Positions closer than this to the start are not worth resuming.
+   */
+  static MIN_RESUME_SEC = 5;
+
+  /*
+   * Fraction of the duration after which content counts as fully watched.
+   */
+  static COMPLETION_RATIO = 0.95;
+
+  static SHARED_USER_KEY = 'shared';
+
+  /**
+   * @param {Storage=} storage Where the history is persisted.
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.entries = this.load();
+    // The item being loaded, becoming current once its load completes.
+    this.pending = null;
+    this.current = null;
+    this.inBreak = false;
+  }
+
+  /**
+   * Identifies the user a load request is made for.
+   * @param {cast.framework.messages.LoadRequestData} loadRequestData
+   * @return {string}
+   */
+  static getUserKey(loadRequestData) {
+    if (loadRequestData.customData && loadRequestData.customData.userId) {
+      return loadRequestData.customData.userId;
+    }
+    if (loadRequestData.credentials) {
+      return `credentials-${hashString(loadRequestData.credentials)}`;
+    }
+    return WatchHistory.SHARED_USER_KEY;
+  }
+
+  /**
+   * Prepares recording progress for a load, from when it completes, and,
+   * unless the sender asks for a specific start position or sets
+   * `resume: false` in the customData, applies the stored resume point to it.
+   * The resume point is noted in the media's customData as `resumedFrom` so
+   * ContentTracker can tell resumed playback from fresh playback.
+   * @param {cast.framework.messages.LoadRequestData} loadRequestData The
+   *     target LoadRequestData to be modified.
+   * @param {string} contentId ID or URL of the loaded content.
+   * @return {?number} The applied resume position, if any.
+   */
+  beginLoad(loadRequestData, contentId) {
+    const userKey = WatchHistory.getUserKey(loadRequestData);
+    this.pending = { key: `${userKey}|${contentId}`, lastSavedTime: null };
+
+    const customData = loadRequestData.customData || {};
+    const position = this.getResumePosition(userKey, contentId);
+    if (position == null || customData.resume === false
+      || loadRequestData.currentTime > 0) {
+      return null;
+    }
+
+    castDebugLogger.info(LOG_HISTORY_TAG,
+      `Resuming ${contentId} at ${position}s`);
+    loadRequestData.currentTime = position;
+    loadRequestData.media.customData = Object.assign({},
+      loadRequestData.media.customData, { resumedFrom: position });
+    return position;
+  }
+
+  /**
+   * Obtains where a user stopped watching some content.
+   * @param {string} userKey
+   * @param {string} contentId
+   * @return {?number} The position in seconds, or null when there is nothing
+   *     to resume.
+   */
+  getResumePosition(userKey, contentId) {
+    const entry = this.entries[`${userKey}|${contentId}`];
+    if (!entry || entry.completed
+      || entry.position < WatchHistory.MIN_RESUME_SEC) {
+      return null;
+    }
+    return entry.position;
+  }
+
+  /**
+   * Registers the listeners recording the progress of the loaded content.
+   * @param {cast.framework.PlayerManager} playerManager
+   */
+  attach(playerManager) {
+    const EventType = cast.framework.events.EventType;
+
+    playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => {
+      this.current = this.pending;
+      this.pending = null;
+    });
+    playerManager.addEventListener(EventType.TIME_UPDATE, (event) => {
+      if (this.current && !this.inBreak && (this.current.lastSavedTime == null
+        || Math.abs(event.currentMediaTime - this.current.lastSavedTime)
+        >= WatchHistory.SAVE_INTERVAL_SEC)) {
+        this.record(event.currentMediaTime, playerManager.getDurationSec());
+      }
+    });
+    playerManager.addEventListener(EventType.PAUSE, (event) => {
+      if (this.current && !this.inBreak) {
+        this.record(event.currentMediaTime, playerManager.getDurationSec());
+      }
+    });
+    playerManager.addEventListener(EventType.BREAK_STARTED, () => {
+      this.inBreak = true;
+    });
+    playerManager.addEventListener(EventType.BREAK_ENDED, () => {
+      this.inBreak = false;
+    });
+    playerManager.addEventListener(EventType.MEDIA_FINISHED, (event) => {
+      if (this.current && event.endedReason
+        == cast.framework.events.EndedReason.END_OF_STREAM) {
+        this.record(playerManager.getDurationSec(),
+          playerManager.getDurationSec());
+      }
+      this.current = null;
+    });
+  }
+
+  /**
+   * Stores the progress of the current content.
+   * @param {number} position Current playback position in seconds.
+   * @param {number} duration Duration of the content in seconds.
+   */
+  record(position, duration) {
+    if (!(position >= 0)) {
+      return;
+    }
+
+    this.current.lastSavedTime = position;
+    this.entries[this.current.key] = {
+      position: position,
+      duration: duration,
+      completed: duration > 0
+        && position >= duration * WatchHistory.COMPLETION_RATIO,
+      updatedAt: Date.now()
+    };
+    this.save();
+  }
+
+  /**
+   * Reads the history from storage.
+   * @return {!Object<string, Object>} Entries keyed by user and content ID.
+   */
+  load() {
+    try {
+      return JSON.parse(this.storage.getItem(WatchHistory.STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Writes the history to storage, dropping the oldest entries beyond
+   * MAX_ENTRIES.
+   */
+  save() {
+    const keys = Object.keys(this.entries);
+    if (keys.length > WatchHistory.MAX_ENTRIES) {
+      keys.sort((a, b) => this.entries[b].updatedAt - this.entries[a].updatedAt)
+        .slice(WatchHistory.MAX_ENTRIES)
+        .forEach((key) => delete this.entries[key]);
+    }
+
+    try {
+      this.storage.setItem(WatchHistory.STORAGE_KEY,
+        JSON.stringify(this.entries));
+    } catch (e) {
+      castDebugLogger.warn(LOG_HISTORY_TAG,
+        `Unable to save watch history: ${e.message}`);
+    }
+  }
+}
+
+export {
+  WatchHistory
+};